@@ -10,9 +10,61 @@ if (os.platform() === 'win32') {
 		throw new Error("Noble UWP bindings require Windows >= 10.0.15014.");
 	}
 
+	const util = require('util');
 	const Noble = require('noble/lib/noble');
 	const uwpBindings = require('./lib/bindings.js');
-	module.exports = new Noble(uwpBindings);
+
+	// Copy the extra metadata that the UWP bindings report for discovered services and
+	// characteristics (handles, protection level, etc.) onto the noble objects. The listeners are
+	// prepended so the metadata is in place before the application's callbacks see the objects.
+	const UwpNoble = function(bindings) {
+		Noble.call(this, bindings);
+	};
+	util.inherits(UwpNoble, Noble);
+
+	UwpNoble.prototype.onServicesDiscover = function(peripheralUuid, serviceUuids, services) {
+		const peripheral = this._peripherals[peripheralUuid];
+		if (peripheral && services) {
+			peripheral.prependOnceListener('servicesDiscover', nobleServices => {
+				nobleServices.forEach((nobleService, i) => assignMetadata(nobleService, services[i]));
+			});
+		}
+		Noble.prototype.onServicesDiscover.apply(this, arguments);
+	};
+
+	UwpNoble.prototype.onCharacteristicsDiscover =
+			function(peripheralUuid, serviceUuid, characteristics) {
+		const service = this._services[peripheralUuid] && this._services[peripheralUuid][serviceUuid];
+		if (service && Array.isArray(characteristics)) {
+			service.prependOnceListener('characteristicsDiscover', nobleCharacteristics => {
+				nobleCharacteristics.forEach((nobleCharacteristic, i) =>
+					assignMetadata(nobleCharacteristic, characteristics[i]));
+			});
+		}
+		Noble.prototype.onCharacteristicsDiscover.apply(this, arguments);
+	};
+
+	const assignMetadata = (nobleObject, info) => {
+		Object.keys(info).filter(key => !(key in nobleObject)).forEach(key => {
+			nobleObject[key] = info[key];
+		});
+	};
+
+	const noble = new UwpNoble(uwpBindings);
+
+	// Older noble versions ignore the 'mtu' event of the bindings. Make the negotiated MTU
+	// available on the peripheral the same way newer versions do.
+	if (!Noble.prototype.onMtu) {
+		uwpBindings.on('mtu', (peripheralUuid, mtu) => {
+			const peripheral = noble._peripherals[peripheralUuid];
+			if (peripheral) {
+				peripheral.mtu = mtu;
+				peripheral.emit('mtu', mtu);
+			}
+		});
+	}
+
+	module.exports = noble;
 } else {
 	module.exports = require('noble');;
 }
@@ -0,0 +1,226 @@
+'use strict';
+
+// Publisher of custom BLE advertisements, using the Windows UWP advertisement publisher
+
+const events = require('events');
+const util = require('util');
+const debug = require('debug')('noble-uwp');
+const rt = require('./rt-utils');
+
+// Note the load order here is important for cross-namespace dependencies.
+rt.using('Windows.Foundation');
+rt.using('Windows.Storage.Streams');
+rt.using('Windows.Devices.Bluetooth');
+rt.using('Windows.Devices.Bluetooth.Advertisement');
+
+const BluetoothError = Windows.Devices.Bluetooth.BluetoothError;
+
+const BluetoothLEAdvertisement = Windows.Devices.Bluetooth.Advertisement.BluetoothLEAdvertisement;
+const BluetoothLEAdvertisementDataSection =
+	Windows.Devices.Bluetooth.Advertisement.BluetoothLEAdvertisementDataSection;
+const BluetoothLEAdvertisementPublisher =
+	Windows.Devices.Bluetooth.Advertisement.BluetoothLEAdvertisementPublisher;
+const BluetoothLEAdvertisementPublisherStatus =
+	Windows.Devices.Bluetooth.Advertisement.BluetoothLEAdvertisementPublisherStatus;
+
+// Maximum length of the payload of a legacy advertising PDU.
+const maxPayloadLength = 31;
+
+// Windows adds a flags section (3 bytes) to every advertisement it publishes.
+const flagsSectionLength = 3;
+
+// AD types of the data sections that an advertisement is encoded to.
+const dataTypes = {
+	flags: 0x01,
+	completeService16BitUuids: 0x03,
+	completeService32BitUuids: 0x05,
+	completeService128BitUuids: 0x07,
+	completeLocalName: 0x09,
+	serviceData16BitUuids: 0x16,
+	serviceData32BitUuids: 0x20,
+	serviceData128BitUuids: 0x21,
+	manufacturerSpecificData: 0xFF,
+};
+
+// Events:
+//   statusChange(status, error) - The publisher status changed. The status is the name of a
+//     BluetoothLEAdvertisementPublisherStatus ('waiting', 'started', 'stopped', 'aborted', ...),
+//     and the error is the BluetoothError name ('success' unless aborted).
+//   <status>(error) - The same, as an event named after the status, such as 'started'.
+let AdvertisementPublisher = function() {
+	events.EventEmitter.call(this);
+	this._publication = null;
+};
+
+util.inherits(AdvertisementPublisher, events.EventEmitter);
+
+// Start publishing an advertisement, replacing any advertisement published before. Its properties
+// are all optional:
+//   localName - String
+//   serviceUuids - Array of 16-, 32- or 128-bit UUID strings, in the same format as noble's
+//   serviceData - Array of { uuid, data } objects
+//   manufacturerData - Array of { companyId, data } objects
+//   dataSections - Array of additional { type, data } sections
+// Throws an error if the advertisement does not fit in a legacy advertising PDU, or if Windows
+// fails to start publishing it.
+AdvertisementPublisher.prototype.start = function(advertisement) {
+	let dataSections = encodeAdvertisement(advertisement);
+	let payloadLength = getPayloadLength(dataSections);
+	debug('start publishing: %d bytes', payloadLength);
+
+	if (payloadLength > maxPayloadLength) {
+		throw new Error('Advertisement length ' + payloadLength + ' exceeds the maximum of ' +
+			maxPayloadLength + ' bytes, including ' + flagsSectionLength + ' bytes of flags');
+	}
+
+	this.stop();
+
+	let rtAdvertisement = new BluetoothLEAdvertisement();
+	dataSections.forEach(dataSection => {
+		debug('    data section: %s %s', dataSection.type, dataSection.data.toString('hex'));
+		rtAdvertisement.dataSections.append(new BluetoothLEAdvertisementDataSection(
+			dataSection.type, rt.fromBuffer(dataSection.data)));
+	});
+
+	// A publisher that is replaced keeps its listener until it reports that it stopped.
+	let publication = {
+		publisher: new BluetoothLEAdvertisementPublisher(rtAdvertisement),
+		statusListener: null,
+	};
+	publication.statusListener = this._onStatusChanged.bind(this, publication);
+	publication.publisher.on('statusChanged', publication.statusListener);
+	rt.keepAlive(true);
+
+	this._publication = publication;
+	try {
+		publication.publisher.start();
+	} catch (ex) {
+		// A publisher that failed to start never reports that it stopped.
+		debug('failed to start publishing: %s', ex.stack);
+		this._publication = null;
+		releasePublication(publication);
+		throw ex;
+	}
+};
+
+AdvertisementPublisher.prototype.stop = function() {
+	let publication = this._publication;
+	if (!publication) {
+		return;
+	}
+
+	debug('stop publishing');
+	this._publication = null;
+	let status = publication.publisher.status;
+	if (status === BluetoothLEAdvertisementPublisherStatus.stopped ||
+			status === BluetoothLEAdvertisementPublisherStatus.aborted) {
+		releasePublication(publication);
+	} else {
+		publication.publisher.stop();
+	}
+};
+
+// Name of the BluetoothLEAdvertisementPublisherStatus, or null when not publishing.
+AdvertisementPublisher.prototype.getStatus = function() {
+	return (this._publication ? rt.getEnumName(BluetoothLEAdvertisementPublisherStatus,
+		this._publication.publisher.status) : null);
+};
+
+AdvertisementPublisher.prototype._onStatusChanged = function(publication, sender, e) {
+	let status = rt.getEnumName(BluetoothLEAdvertisementPublisherStatus, e.status);
+	let error = rt.getEnumName(BluetoothError, e.error);
+	debug('publisher status: %s (%s)', status, error);
+
+	// The status of a publisher that was replaced by a new one is not reported.
+	let isReplaced = (this._publication && publication !== this._publication);
+
+	if (e.status === BluetoothLEAdvertisementPublisherStatus.stopped ||
+			e.status === BluetoothLEAdvertisementPublisherStatus.aborted) {
+		releasePublication(publication);
+		if (publication === this._publication) {
+			this._publication = null;
+		}
+	}
+
+	if (!isReplaced) {
+		this.emit('statusChange', status, error);
+		this.emit(status, error);
+	}
+};
+
+function releasePublication(publication) {
+	if (publication.statusListener) {
+		publication.publisher.removeListener('statusChanged', publication.statusListener);
+		publication.statusListener = null;
+		rt.keepAlive(false);
+	}
+}
+
+// Encode an advertisement as an array of { type, data } sections.
+function encodeAdvertisement(advertisement) {
+	let dataSections = [];
+
+	if (advertisement.localName) {
+		dataSections.push({
+			type: dataTypes.completeLocalName,
+			data: Buffer.from(advertisement.localName, 'utf8'),
+		});
+	}
+
+	let serviceUuids = (advertisement.serviceUuids || []).map(uuidToBytes);
+	[
+		[2, dataTypes.completeService16BitUuids],
+		[4, dataTypes.completeService32BitUuids],
+		[16, dataTypes.completeService128BitUuids],
+	].forEach(uuidType => {
+		let uuids = serviceUuids.filter(uuid => uuid.length === uuidType[0]);
+		if (uuids.length > 0) {
+			dataSections.push({ type: uuidType[1], data: Buffer.concat(uuids) });
+		}
+	});
+
+	(advertisement.serviceData || []).forEach(serviceData => {
+		let uuid = uuidToBytes(serviceData.uuid);
+		dataSections.push({
+			type: (uuid.length === 2 ? dataTypes.serviceData16BitUuids :
+				uuid.length === 4 ? dataTypes.serviceData32BitUuids :
+				dataTypes.serviceData128BitUuids),
+			data: Buffer.concat([uuid, serviceData.data]),
+		});
+	});
+
+	(advertisement.manufacturerData || []).forEach(manufacturerData => {
+		let companyId = Buffer.alloc(2);
+		companyId.writeUInt16LE(manufacturerData.companyId, 0);
+		dataSections.push({
+			type: dataTypes.manufacturerSpecificData,
+			data: Buffer.concat([companyId, manufacturerData.data]),
+		});
+	});
+
+	(advertisement.dataSections || []).forEach(dataSection => {
+		if (dataSection.type === dataTypes.flags) {
+			throw new Error('The flags section is reserved for Windows');
+		}
+		dataSections.push(dataSection);
+	});
+
+	return dataSections;
+}
+
+// Each section takes a length byte and a type byte besides its data.
+function getPayloadLength(dataSections) {
+	return dataSections.reduce((length, dataSection) => length + 2 + dataSection.data.length,
+		flagsSectionLength);
+}
+
+// Convert a UUID in noble's format to little-endian bytes, as in advertisement data.
+function uuidToBytes(uuid) {
+	uuid = uuid.replace(/-/g, '').toLowerCase();
+	if (!/^([0-9a-f]{4}|[0-9a-f]{8}|[0-9a-f]{32})$/.test(uuid)) {
+		throw new Error('Invalid UUID: ' + uuid);
+	}
+	return Buffer.from(uuid, 'hex').reverse();
+}
+
+module.exports = AdvertisementPublisher;
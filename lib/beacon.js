@@ -0,0 +1,236 @@
+'use strict';
+
+// Decoding and encoding of iBeacon and Eddystone beacon advertisements.
+//
+// Beacons are represented by objects with a type property and the fields of that type:
+//   iBeacon - uuid, major, minor, measuredPower (RSSI in dBm at 1 m)
+//   eddystoneUid - txPower (dBm at 0 m), namespace (10 bytes hex), instance (6 bytes hex)
+//   eddystoneUrl - txPower, url
+//   eddystoneTlm - version, and for version 0: batteryVoltage (mV, or null), temperature (°C, or
+//     null), advertisementCount, uptime (in 0.1 s); for version 1 (encrypted): etlm, salt, mic
+//   eddystoneEid - txPower, eid (8 bytes hex)
+// Decoded beacons also have a distance property, estimated from the RSSI.
+
+const appleCompanyId = 0x004C;
+const iBeaconType = 0x02;
+const iBeaconLength = 0x15;
+
+const eddystoneUuid = 'feaa';
+const eddystoneFrameTypes = {
+	eddystoneUid: 0x00,
+	eddystoneUrl: 0x10,
+	eddystoneTlm: 0x20,
+	eddystoneEid: 0x30,
+};
+
+const urlSchemes = ['http://www.', 'https://www.', 'http://', 'https://'];
+const urlExpansions = [
+	'.com/', '.org/', '.edu/', '.net/', '.info/', '.biz/', '.gov/',
+	'.com', '.org', '.edu', '.net', '.info', '.biz', '.gov',
+];
+
+// Signal loss between 0 m and 1 m, for converting a 0 m TX power to a 1 m reference RSSI.
+const lossAtOneMeter = 41;
+
+// Path loss exponent of free space; indoors it is typically higher.
+const pathLossExponent = 2;
+
+// Decode the beacon in a noble advertisement object, or return null if it contains none.
+function decode(advertisement, rssi) {
+	let beacon = null;
+
+	(advertisement.manufacturerDataList || []).some(md => {
+		beacon = (md.companyId === appleCompanyId ? decodeIBeacon(md.data) : null);
+		return beacon;
+	});
+
+	if (!beacon) {
+		let sd = (advertisement.serviceData || []).find(sd => sd.uuid === eddystoneUuid);
+		beacon = (sd ? decodeEddystone(sd.data) : null);
+	}
+
+	if (beacon) {
+		let referenceRssi = (beacon.measuredPower !== undefined ? beacon.measuredPower :
+			beacon.txPower !== undefined ? beacon.txPower - lossAtOneMeter :
+			typeof advertisement.txPowerLevel === 'number' ?
+				advertisement.txPowerLevel - lossAtOneMeter : null);
+		beacon.distance = estimateDistance(referenceRssi, rssi);
+	}
+
+	return beacon;
+}
+
+function decodeIBeacon(data) {
+	if (data.length < 23 || data[0] !== iBeaconType || data[1] !== iBeaconLength) {
+		return null;
+	}
+
+	return {
+		type: 'iBeacon',
+		uuid: data.slice(2, 18).toString('hex'),
+		major: data.readUInt16BE(18),
+		minor: data.readUInt16BE(20),
+		measuredPower: data.readInt8(22),
+	};
+}
+
+function decodeEddystone(data) {
+	if (data.length < 2) {
+		return null;
+	}
+
+	switch (data[0]) {
+		case eddystoneFrameTypes.eddystoneUid:
+			if (data.length < 18) return null;
+			return {
+				type: 'eddystoneUid',
+				txPower: data.readInt8(1),
+				namespace: data.slice(2, 12).toString('hex'),
+				instance: data.slice(12, 18).toString('hex'),
+			};
+		case eddystoneFrameTypes.eddystoneUrl:
+			if (data.length < 3 || data[2] >= urlSchemes.length) return null;
+			return {
+				type: 'eddystoneUrl',
+				txPower: data.readInt8(1),
+				url: urlSchemes[data[2]] + Array.from(data.slice(3)).map(c =>
+					(c < urlExpansions.length ? urlExpansions[c] : String.fromCharCode(c))).join(''),
+			};
+		case eddystoneFrameTypes.eddystoneTlm:
+			if (data[1] === 0x00 && data.length >= 14) {
+				let batteryVoltage = data.readUInt16BE(2);
+				let temperature = data.readInt16BE(4);
+				return {
+					type: 'eddystoneTlm',
+					version: 0,
+					batteryVoltage: (batteryVoltage === 0 ? null : batteryVoltage),
+					temperature: (temperature === -0x8000 ? null : temperature / 256),
+					advertisementCount: data.readUInt32BE(6),
+					uptime: data.readUInt32BE(10),
+				};
+			} else if (data[1] === 0x01 && data.length >= 18) {
+				return {
+					type: 'eddystoneTlm',
+					version: 1,
+					etlm: data.slice(2, 14).toString('hex'),
+					salt: data.readUInt16BE(14),
+					mic: data.readUInt16BE(16),
+				};
+			}
+			return null;
+		case eddystoneFrameTypes.eddystoneEid:
+			if (data.length < 10) return null;
+			return {
+				type: 'eddystoneEid',
+				txPower: data.readInt8(1),
+				eid: data.slice(2, 10).toString('hex'),
+			};
+		default:
+			return null;
+	}
+}
+
+// Encode a beacon object as an advertisement for AdvertisementPublisher.start().
+function encode(beacon) {
+	if (beacon.type === 'iBeacon') {
+		let data = Buffer.alloc(23);
+		data[0] = iBeaconType;
+		data[1] = iBeaconLength;
+		hexToBuffer(beacon.uuid, 16, 'uuid').copy(data, 2);
+		data.writeUInt16BE(beacon.major, 18);
+		data.writeUInt16BE(beacon.minor, 20);
+		data.writeInt8(beacon.measuredPower, 22);
+		return { manufacturerData: [{ companyId: appleCompanyId, data: data }] };
+	}
+
+	let frameType = eddystoneFrameTypes[beacon.type];
+	if (frameType === undefined) {
+		throw new Error('Unknown beacon type: ' + beacon.type);
+	}
+
+	let frame;
+	switch (beacon.type) {
+		case 'eddystoneUid':
+			frame = Buffer.concat([
+				Buffer.from([frameType, beacon.txPower & 0xFF]),
+				hexToBuffer(beacon.namespace, 10, 'namespace'),
+				hexToBuffer(beacon.instance, 6, 'instance'),
+				Buffer.alloc(2), // Reserved
+			]);
+			break;
+		case 'eddystoneUrl':
+			frame = Buffer.concat([
+				Buffer.from([frameType, beacon.txPower & 0xFF]),
+				encodeUrl(beacon.url),
+			]);
+			break;
+		case 'eddystoneTlm':
+			frame = Buffer.alloc(14);
+			frame[0] = frameType;
+			frame.writeUInt16BE(beacon.batteryVoltage || 0, 2);
+			frame.writeInt16BE((typeof beacon.temperature === 'number' ?
+				Math.round(beacon.temperature * 256) : -0x8000), 4);
+			frame.writeUInt32BE(beacon.advertisementCount || 0, 6);
+			frame.writeUInt32BE(beacon.uptime || 0, 10);
+			break;
+		case 'eddystoneEid':
+			frame = Buffer.concat([
+				Buffer.from([frameType, beacon.txPower & 0xFF]),
+				hexToBuffer(beacon.eid, 8, 'eid'),
+			]);
+			break;
+	}
+
+	return {
+		serviceUuids: [eddystoneUuid],
+		serviceData: [{ uuid: eddystoneUuid, data: frame }],
+	};
+}
+
+function encodeUrl(url) {
+	let scheme = urlSchemes.findIndex(s => url.startsWith(s));
+	if (scheme < 0) {
+		throw new Error('Unsupported URL scheme: ' + url);
+	}
+
+	let bytes = [scheme];
+	let rest = url.substr(urlSchemes[scheme].length);
+	while (rest.length > 0) {
+		let expansion = urlExpansions.findIndex(e => rest.startsWith(e));
+		if (expansion >= 0) {
+			bytes.push(expansion);
+			rest = rest.substr(urlExpansions[expansion].length);
+		} else {
+			bytes.push(rest.charCodeAt(0));
+			rest = rest.substr(1);
+		}
+	}
+
+	if (bytes.length > 18) {
+		throw new Error('Encoded URL exceeds 17 bytes: ' + url);
+	}
+	return Buffer.from(bytes);
+}
+
+function hexToBuffer(hex, length, name) {
+	let buffer = Buffer.from(hex.replace(/-/g, ''), 'hex');
+	if (buffer.length !== length) {
+		throw new Error('Invalid ' + name + ': ' + hex);
+	}
+	return buffer;
+}
+
+// Estimate the distance in meters to a beacon with the log-distance path loss model, given the
+// RSSI expected at 1 m. This is a rough estimate, since the actual loss varies a lot.
+function estimateDistance(referenceRssi, rssi) {
+	if (typeof referenceRssi !== 'number' || typeof rssi !== 'number' || rssi === 127) {
+		return null;
+	}
+	return Math.pow(10, (referenceRssi - rssi) / (10 * pathLossExponent));
+}
+
+module.exports = {
+	decode,
+	encode,
+	estimateDistance,
+};
@@ -6,6 +6,8 @@ const events = require('events');
 const util = require('util');
 const debug = require('debug')('noble-uwp');
 const rt = require('./rt-utils');
+const GattError = require('./gatt-error');
+const beacon = require('./beacon');
 
 // Note the load order here is important for cross-namespace dependencies.
 rt.using('Windows.Foundation');
@@ -18,8 +20,10 @@ rt.using('Windows.Devices.Radios');
 
 const BluetoothLEDevice = Windows.Devices.Bluetooth.BluetoothLEDevice;
 const BluetoothCacheMode = Windows.Devices.Bluetooth.BluetoothCacheMode;
+const BluetoothConnectionStatus = Windows.Devices.Bluetooth.BluetoothConnectionStatus;
 
 const BluetoothLEAdvertisementWatcher = Windows.Devices.Bluetooth.Advertisement.BluetoothLEAdvertisementWatcher;
+const BluetoothLEAdvertisementFilter = Windows.Devices.Bluetooth.Advertisement.BluetoothLEAdvertisementFilter;
 const BluetoothLEScanningMode = Windows.Devices.Bluetooth.Advertisement.BluetoothLEScanningMode;
 const BluetoothLEAdvertisementType = Windows.Devices.Bluetooth.Advertisement.BluetoothLEAdvertisementType;
 const BluetoothLEAdvertisementDataTypes = Windows.Devices.Bluetooth.Advertisement.BluetoothLEAdvertisementDataTypes;
@@ -30,8 +34,18 @@ const GattCharacteristicProperties = Windows.Devices.Bluetooth.GenericAttributeP
 const GattDeviceService = Windows.Devices.Bluetooth.GenericAttributeProfile.GattDeviceService;
 const GattServiceUuids = Windows.Devices.Bluetooth.GenericAttributeProfile.GattServiceUuids;
 const GattCommunicationStatus = Windows.Devices.Bluetooth.GenericAttributeProfile.GattCommunicationStatus;
+const GattWriteOption = Windows.Devices.Bluetooth.GenericAttributeProfile.GattWriteOption;
+const GattProtocolError = Windows.Devices.Bluetooth.GenericAttributeProfile.GattProtocolError;
 const GattClientCharacteristicConfigurationDescriptorValue =
 	Windows.Devices.Bluetooth.GenericAttributeProfile.GattClientCharacteristicConfigurationDescriptorValue;
+const GattProtectionLevel = Windows.Devices.Bluetooth.GenericAttributeProfile.GattProtectionLevel;
+const GattReliableWriteTransaction =
+	Windows.Devices.Bluetooth.GenericAttributeProfile.GattReliableWriteTransaction;
+
+const DevicePairingKinds = Windows.Devices.Enumeration.DevicePairingKinds;
+const DevicePairingProtectionLevel = Windows.Devices.Enumeration.DevicePairingProtectionLevel;
+const DevicePairingResultStatus = Windows.Devices.Enumeration.DevicePairingResultStatus;
+const DeviceUnpairingResultStatus = Windows.Devices.Enumeration.DeviceUnpairingResultStatus;
 
 const Radio = Windows.Devices.Radios.Radio;
 const RadioKind = Windows.Devices.Radios.RadioKind;
@@ -39,20 +53,83 @@ const RadioState = Windows.Devices.Radios.RadioState;
 
 const DataReader = Windows.Storage.Streams.DataReader;
 
+// The ATT MTU that every device supports, used when the negotiated MTU is unknown.
+const minimumMtu = 23;
+
+// The maximum length of an attribute value, which limits ATT long reads and writes.
+const maxAttributeValueLength = 512;
+
+// Names of the pairing ceremonies supported by pair(), and their DevicePairingKinds.
+const pairingKinds = {
+	justWorks: DevicePairingKinds.confirmOnly,
+	displayPin: DevicePairingKinds.displayPin,
+	providePin: DevicePairingKinds.providePin,
+	confirmPinMatch: DevicePairingKinds.confirmPinMatch,
+};
+
+// Default values of the options that can be changed with setOptions().
+const defaultOptions = {
+	// When scanning with allowDuplicates, re-emit 'discover' for a device only if its RSSI,
+	// local name, manufacturer data or service data changed since it was last reported.
+	discoverOnChangeOnly: false,
+
+	// Scan without sending scan requests. Devices are then reported without scan response data.
+	passiveScanning: false,
+
+	// Maximum time in milliseconds to hold back reporting a device while a scan response is expected.
+	scanResponseTimeout: 1000,
+
+	// Maximum time in milliseconds to wait for a connection to be established.
+	connectTimeout: 10000,
+
+	// Maximum age in milliseconds of an RSSI value that is reported by updateRssi().
+	rssiMaxAge: 10000,
+
+	// Maximum time in milliseconds to wait for a WinRT async call of a GATT operation,
+	// or 0 to wait indefinitely.
+	operationTimeout: 30000,
+
+	// Timeouts that override operationTimeout for specific operations, keyed by operation name
+	// (the 'operation' property of a GattError), for example { write: 5000 }.
+	operationTimeouts: {},
+
+	// Maximum number of WinRT async calls in progress at a time for each device.
+	operationConcurrency: 1,
+
+	// Number of times a call that completes with 'unreachable' status is retried.
+	operationRetries: 2,
+
+	// Delay in milliseconds before the first retry; it doubles with each further retry.
+	operationRetryDelay: 100,
+};
+
 let NobleBindings = function() {
 	this._radio = null;
 	this._radioState = 'unknown';
 	this._deviceMap = {};
 	this._listenerMap = {};
+	this._options = Object.assign({}, defaultOptions);
+	this._scanServiceUuids = null;
+	this._allowDuplicates = false;
+	this._scanDiscoveries = {};
+	this._rssiWatcher = null;
+	this._onRssiWatcherReceivedBound = null;
 };
 
 util.inherits(NobleBindings, events.EventEmitter);
 
+NobleBindings.prototype.setOptions = function(options) {
+	Object.keys(options).forEach(key => {
+		if (!defaultOptions.hasOwnProperty(key)) {
+			throw new Error('Unknown option: ' + key);
+		}
+		this._options[key] = options[key];
+	});
+	debug('options: %o', this._options);
+};
+
 NobleBindings.prototype.init = function() {
-	this._advertisementWatcher = new BluetoothLEAdvertisementWatcher();
-	this._advertisementWatcher.scanningMode = BluetoothLEScanningMode.active;
-	this._advertisementWatcher.on('received', this._onAdvertisementWatcherReceived.bind(this));
-	this._advertisementWatcher.on('stopped', this._onAdvertisementWatcherStopped.bind(this));
+	this._advertisementWatcher = this._createAdvertisementWatcher();
 
 	debug('initialized');
 
@@ -72,12 +149,34 @@ NobleBindings.prototype.init = function() {
 };
 
 NobleBindings.prototype.startScanning = function(serviceUuids, allowDuplicates) {
+	serviceUuids = (serviceUuids && serviceUuids.length > 0 ?
+		serviceUuids.map(u => u.toLowerCase().replace(/-/g, '')) : null);
+	allowDuplicates = !!allowDuplicates;
+
+	let scanningMode = (this._options.passiveScanning ?
+		BluetoothLEScanningMode.passive : BluetoothLEScanningMode.active);
+	let watcherChanged = String(serviceUuids) !== String(this._scanServiceUuids) ||
+		scanningMode !== this._advertisementWatcher.scanningMode;
+	this._scanServiceUuids = serviceUuids;
+	this._allowDuplicates = allowDuplicates;
+	this._clearScanDiscoveries();
+
 	if (this._advertisementWatcher.status !== BluetoothLEAdvertisementWatcherStatus.started) {
-		allowDuplicates = !!allowDuplicates;
 		debug('startScanning(%s, %s)', (serviceUuids ? serviceUuids.join() : ''), allowDuplicates);
+		if (watcherChanged) {
+			this._replaceAdvertisementWatcher();
+		}
 		this._advertisementWatcher.start();
 		rt.keepAlive(true);
+	} else if (watcherChanged) {
+		// The settings of a started watcher cannot be changed, so swap in a new watcher.
+		debug('restartScanning(%s, %s)', (serviceUuids ? serviceUuids.join() : ''), allowDuplicates);
+		this._advertisementWatcher.stop();
+		this._replaceAdvertisementWatcher();
+		this._advertisementWatcher.start();
 	}
+
+	this.emit('scanStart', !allowDuplicates);
 };
 
 NobleBindings.prototype.stopScanning = function() {
@@ -86,6 +185,9 @@ NobleBindings.prototype.stopScanning = function() {
 		this._advertisementWatcher.stop();
 		rt.keepAlive(false);
 	}
+
+	this._clearScanDiscoveries();
+	this.emit('scanStop');
 };
 
 NobleBindings.prototype.connect = function(deviceUuid) {
@@ -100,13 +202,82 @@ NobleBindings.prototype.connect = function(deviceUuid) {
 		throw new Error("Device is not connectable: " + deviceRecord.formattedAddress);
 	}
 
-	rt.promisify(BluetoothLEDevice.fromBluetoothAddressAsync)(deviceRecord.address).then(device => {
+	if (deviceRecord.device) {
+		debug('already connected: %s', deviceUuid);
+		this.emit('connect', deviceUuid, null);
+		return;
+	}
+
+	// WinRT objects are collected here until the connection is confirmed, so that they can be
+	// released if the attempt fails or times out.
+	let connection = {
+		device: null,
+		services: [],
+		session: null,
+		cancelled: false,
+	};
+	let checkCancelled = () => {
+		if (connection.cancelled) {
+			closeConnection(connection);
+			throw new Error('Connection attempt cancelled: ' + deviceUuid);
+		}
+	};
+
+	let connectAsync = rt.promisify(BluetoothLEDevice.fromBluetoothAddressAsync)(
+			deviceRecord.address).then(device => {
+		connection.device = device;
+		checkCancelled();
+		if (!device) {
+			throw new Error('Device not found: ' + deviceRecord.formattedAddress);
+		}
 		debug('got bluetooth device: %s (%s)', device.name, device.deviceInformation.kind);
+
+		// An uncached service query requires communicating with the device,
+		// which confirms that it is actually reachable.
+		return rt.promisify(device.getGattServicesAsync, device)(BluetoothCacheMode.uncached);
+	}).then(result => {
+		connection.services = (result.services ? rt.toArray(result.services) : []);
+		checkCancelled();
+		checkCommunicationResult(deviceUuid, result);
+
+		// All services of a device share the same GATT session. Asking it to maintain the
+		// connection keeps Windows from dropping the link while no GATT operation is pending.
+		let session = (connection.services.length > 0 ? connection.services[0].session : null);
+		if (session && session.canMaintainConnection) {
+			session.maintainConnection = true;
+		}
+		connection.session = session;
+	});
+
+	rt.withTimeout(connectAsync, this._options.connectTimeout,
+			'Timed out connecting to device: ' + deviceRecord.formattedAddress).then(() => {
+		let device = connection.device;
 		deviceRecord.device = device;
+		deviceRecord.session = connection.session;
+		this._cacheServices(deviceUuid, connection.services);
+
+		deviceRecord.wasConnected = (device.connectionStatus === BluetoothConnectionStatus.connected);
+		deviceRecord.connectionStatusListener = this._onConnectionStatusChanged.bind(this, deviceUuid);
+		device.addListener('connectionStatusChanged', deviceRecord.connectionStatusListener);
+		if (deviceRecord.session) {
+			deviceRecord.maxPduSizeListener = this._onMaxPduSizeChanged.bind(this, deviceUuid);
+			deviceRecord.session.addListener('maxPduSizeChanged', deviceRecord.maxPduSizeListener);
+		}
+		this._updateRssiWatcher();
 
+		debug('connected: %s', deviceUuid);
 		this.emit('connect', deviceUuid, null);
+
+		let mtu = this.getMtu(deviceUuid);
+		if (mtu) {
+			debug('MTU: %s %d', deviceUuid, mtu);
+			this.emit('mtu', deviceUuid, mtu);
+		}
 	}).catch(ex => {
-		debug('failed to get device %s: %s', deviceRecord.formattedAddress, ex.stack);
+		ex = toGattError(ex, 'connect', deviceUuid);
+		debug('failed to connect to device %s: %s', deviceRecord.formattedAddress, ex.stack);
+		connection.cancelled = true;
+		closeConnection(connection);
 		this.emit('connect', deviceUuid, ex);
 	});
 };
@@ -119,18 +290,38 @@ NobleBindings.prototype.disconnect = function(deviceUuid) {
 		throw new Error('Invalid or unknown device UUID: ' + deviceUuid);
 	}
 
-	deviceRecord.device = null;
+	this._releaseDevice(deviceUuid);
+	this._updateRssiWatcher();
 
 	this.emit('disconnect', deviceUuid);
 };
 
+// Get the negotiated ATT MTU of a connected device, or null if it is not known.
+NobleBindings.prototype.getMtu = function(deviceUuid) {
+	let deviceRecord = this._deviceMap[deviceUuid];
+	return (deviceRecord && deviceRecord.session ? deviceRecord.session.maxPduSize : null);
+};
+
 NobleBindings.prototype.updateRssi = function(deviceUuid) {
 	debug('updateRssi(%s)', deviceUuid);
 
-	// TODO: Retrieve updated RSSI
-	let rssi = 0;
+	let deviceRecord = this._deviceMap[deviceUuid];
+	if (!deviceRecord) {
+		throw new Error('Invalid or unknown device UUID: ' + deviceUuid);
+	}
+
+	// Windows does not offer the RSSI of a connection, so report the RSSI of the most recent
+	// advertisement from the device, as tracked by the scanning and RSSI watchers.
+	let rssiAge = Date.now() - deviceRecord.rssiTimestamp;
+	if (deviceRecord.rssi === null || rssiAge > this._options.rssiMaxAge) {
+		debug('  => no recent RSSI');
+		this.emit('rssiUpdate', deviceUuid,
+			new Error('No recent RSSI available for device: ' + deviceUuid));
+		return;
+	}
 
-	this.emit('rssiUpdate', deviceUuid, rssi);
+	debug('  => %d (%d ms ago)', deviceRecord.rssi, rssiAge);
+	this.emit('rssiUpdate', deviceUuid, deviceRecord.rssi);
 };
 
 NobleBindings.prototype.discoverServices = function(deviceUuid, filterServiceUuids) {
@@ -151,17 +342,20 @@ NobleBindings.prototype.discoverServices = function(deviceUuid, filterServiceUui
 		throw new Error('Device is not connected. UUID: ' + deviceUuid);
 	}
 
-	rt.promisify(device.getGattServicesAsync, device)(
+	this._promisify(deviceUuid, 'discoverServices', device.getGattServicesAsync, device)(
 			BluetoothCacheMode.uncached).then(result => {
 		checkCommunicationResult(deviceUuid, result);
 
-		let services = rt.toArray(result.services);
-		let serviceUuids = services.map(s => formatUuid(s.uuid))
-			.filter(filterUuids(filterServiceUuids));
+		let services = this._cacheServices(deviceUuid, rt.toArray(result.services))
+			.filter(s => filterUuids(filterServiceUuids)(formatUuid(s.uuid)))
+			.map(getServiceInfo);
+		let serviceUuids = services.map(s => s.uuid);
 
+		// Noble expects only the UUIDs; the services with their handles are an extra argument.
 		debug(deviceUuid + ' services: %o', serviceUuids);
-		this.emit('servicesDiscover', deviceUuid, serviceUuids);
+		this.emit('servicesDiscover', deviceUuid, serviceUuids, services);
 	}).catch(ex => {
+		ex = toGattError(ex, 'discoverServices', deviceUuid);
 		debug('failed to get GATT services for device %s: %s', deviceUuid, ex.stack);
 		this.emit('servicesDiscover', deviceUuid, ex);
 	});
@@ -177,19 +371,26 @@ function(deviceUuid, serviceUuid, filterServiceUuids) {
 		(filterServiceUuids ? filterServiceUuids.join() : '(all)'));
 
 	this._getCachedServiceAsync(deviceUuid, serviceUuid).then(service => {
-		rt.promisify(service.getIncludedServicesAsync, service)(
+		return this._promisify(deviceUuid, 'discoverIncludedServices',
+				service.getIncludedServicesAsync, service)(
 				BluetoothCacheMode.uncached).then(result => {
 			checkCommunicationResult(deviceUuid, result);
 
-			let includedServices = rt.toArray(result.services);
-			let includedServiceUuids = includedServices.map(s => formatUuid(s.uuid))
-				.filter(filterUuids(filterServiceUuids));
+			// Only the information of included services is reported, so they are not kept.
+			let includedServices = rt.toArray(result.services).map(includedService => {
+				let serviceInfo = getServiceInfo(includedService);
+				includedService.close();
+				return serviceInfo;
+			}).filter(s => filterUuids(filterServiceUuids)(s.uuid));
+			let includedServiceUuids = includedServices.map(s => s.uuid);
 
 			debug(deviceUuid + ' ' + serviceUuid + ' included services: ' + includedServiceUuids);
-			this.emit('includedServicesDiscover', deviceUuid, serviceUuid, includedServiceUuids);
+			this.emit('includedServicesDiscover', deviceUuid, serviceUuid, includedServiceUuids,
+				includedServices);
 		});
 	}).catch(ex => {
-		debug('failed to get GATT included services for device %s: %s', deviceUuid, + ex.stack);
+		ex = toGattError(ex, 'discoverIncludedServices', deviceUuid, serviceUuid);
+		debug('failed to get GATT included services for device %s: %s', deviceUuid, ex.stack);
 		this.emit('includedServicesDiscover', deviceUuid, serviceUuid, ex);
 	});
 };
@@ -204,22 +405,22 @@ NobleBindings.prototype.discoverCharacteristics =
 		(filterCharacteristicUuids ? filterCharacteristicUuids.join() : '(all)'));
 
 	this._getCachedServiceAsync(deviceUuid, serviceUuid).then(service => {
-		return rt.promisify(service.getCharacteristicsAsync, service)(
+		return this._promisify(deviceUuid, 'discoverCharacteristics',
+				service.getCharacteristicsAsync, service)(
 				BluetoothCacheMode.uncached).then(result => {
 			checkCommunicationResult(deviceUuid, result);
+			this._indexCharacteristics(deviceUuid, serviceUuid, rt.toArray(result.characteristics));
 
 			let characteristics = rt.toArray(result.characteristics)
 				.filter(c => { return filterUuids(filterCharacteristicUuids)(formatUuid(c.uuid)); })
-				.map(c => ({
-					uuid: formatUuid(c.uuid),
-					properties: characteristicPropertiesToStrings(c.characteristicProperties),
-				}));
+				.map(getCharacteristicInfo);
 
 			debug('%s %s characteristics: %o', deviceUuid, serviceUuid,
 				characteristics.map(c => c.uuid));
 			this.emit('characteristicsDiscover', deviceUuid, serviceUuid, characteristics);
 		});
 	}).catch(ex => {
+		ex = toGattError(ex, 'discoverCharacteristics', deviceUuid, serviceUuid);
 		debug('failed to get GATT characteristics for device %s: %s', deviceUuid, ex.stack);
 		this.emit('characteristicsDiscover', deviceUuid, serviceUuid, ex);
 	});
@@ -228,16 +429,11 @@ NobleBindings.prototype.discoverCharacteristics =
 NobleBindings.prototype.read = function(deviceUuid, serviceUuid, characteristicUuid) {
 	debug('read(%s, %s, %s)', deviceUuid, serviceUuid, characteristicUuid);
 
-	this._getCachedCharacteristicAsync(
-			deviceUuid, serviceUuid, characteristicUuid).then(characteristic => {
-		return rt.promisify(characteristic.readValueAsync, characteristic)().then(result => {
-			checkCommunicationResult(deviceUuid, result);
-			let data = rt.toBuffer(result.value);
-
-			debug('  => [' + data.length + ']');
-			this.emit('read', deviceUuid, serviceUuid, characteristicUuid, data, false);
-		});
+	this._readCharacteristicAsync(deviceUuid, serviceUuid, characteristicUuid).then(data => {
+		debug('  => [' + data.length + ']');
+		this.emit('read', deviceUuid, serviceUuid, characteristicUuid, data, false);
 	}).catch (ex => {
+		ex = toGattError(ex, 'read', deviceUuid, serviceUuid, characteristicUuid);
 		debug('failed to read characteristic for device %s: %s', deviceUuid, ex.stack);
 		this.emit('read', deviceUuid, serviceUuid, characteristicUuid, ex, false);
 	});
@@ -248,102 +444,235 @@ NobleBindings.prototype.write =
 	debug('write(%s, %s, %s, (data), %s)',
 		deviceUuid, serviceUuid, characteristicUuid, withoutResponse);
 
-	this._getCachedCharacteristicAsync(
-			deviceUuid, serviceUuid, characteristicUuid).then(characteristic => {
-		let rtBuffer = rt.fromBuffer(data);
-		return rt.promisify(characteristic.writeValueWithResultAsync, characteristic)(
-				rtBuffer).then(result => {
-			checkCommunicationResult(deviceUuid, result);
-			this.emit('write', deviceUuid, serviceUuid, characteristicUuid);
-		});
+	this._writeCharacteristicAsync(
+			deviceUuid, serviceUuid, characteristicUuid, data, withoutResponse).then(() => {
+		// Without response, this only means the write was sent; there is no acknowledgement.
+		this.emit('write', deviceUuid, serviceUuid, characteristicUuid);
 	}).catch(ex => {
+		ex = toGattError(ex, 'write', deviceUuid, serviceUuid, characteristicUuid);
 		debug('failed to write characteristic for device %s: %s', deviceUuid, ex.stack);
-		if (!withoutResponse) {
-			this.emit('write', deviceUuid, serviceUuid, characteristicUuid, ex);
+		this.emit('write', deviceUuid, serviceUuid, characteristicUuid, ex);
+	});
+};
+
+// Read a value that is too long for a single read from a characteristic that returns the next
+// chunk of the value on each read, until the expected length is reached or an empty chunk is
+// returned. (A single read() already performs an ATT long read of values up to 512 bytes.)
+// The offset is the number of bytes received previously, when resuming an interrupted read.
+NobleBindings.prototype.readLong =
+		function(deviceUuid, serviceUuid, characteristicUuid, length, offset) {
+	debug('readLong(%s, %s, %s, %d, %d)', deviceUuid, serviceUuid, characteristicUuid,
+		length, offset);
+
+	offset = offset || 0;
+	let chunks = [];
+
+	let readNextChunk = () => {
+		if (offset >= length) {
+			return;
 		}
+
+		return this._readCharacteristicAsync(
+				deviceUuid, serviceUuid, characteristicUuid, BluetoothCacheMode.uncached).then(chunk => {
+			if (chunk.length === 0) {
+				return;
+			}
+
+			chunks.push(chunk);
+			offset += chunk.length;
+			this.emit('longReadProgress', deviceUuid, serviceUuid, characteristicUuid, offset, length);
+			return readNextChunk();
+		});
+	};
+
+	Promise.resolve().then(() => {
+		// Without a length, a value that never reads back empty would be read forever.
+		if (!(length > 0)) {
+			throw new Error('Invalid length of long read: ' + length);
+		}
+		return readNextChunk();
+	}).then(() => {
+		let data = Buffer.concat(chunks);
+		debug('  => [' + data.length + ']');
+		this.emit('longRead', deviceUuid, serviceUuid, characteristicUuid, data);
+	}).catch(ex => {
+		ex = toGattError(ex, 'readLong', deviceUuid, serviceUuid, characteristicUuid);
+		debug('failed to read long characteristic for device %s at offset %d: %s',
+			deviceUuid, offset, ex.stack);
+
+		// The data received so far and the offset allow resuming the read.
+		ex.data = Buffer.concat(chunks);
+		ex.offset = offset;
+		this.emit('longRead', deviceUuid, serviceUuid, characteristicUuid, ex);
 	});
 };
 
-NobleBindings.prototype.broadcast =
-		function(deviceUuid, serviceUuid, characteristicUuid, broadcast) {
-	debug('broadcast(%s, %s, %s, %s)', deviceUuid, serviceUuid, + characteristicUuid, broadcast);
+// Write a value that is too long for a single write, in chunks sized to the current MTU, to a
+// characteristic that appends each chunk it receives. Each chunk is a separate write of the
+// value (not an ATT prepared write at an offset), so this requires such an append protocol.
+// The offset is where to start in the data, when resuming an interrupted write.
+NobleBindings.prototype.writeLong =
+		function(deviceUuid, serviceUuid, characteristicUuid, data, offset, withoutResponse) {
+	debug('writeLong(%s, %s, %s, [%d], %d, %s)', deviceUuid, serviceUuid, characteristicUuid,
+		data.length, offset, withoutResponse);
+
+	offset = offset || 0;
+
+	let writeNextChunk = () => {
+		if (offset >= data.length) {
+			return;
+		}
 
-	this.emit('broadcast', deviceUuid, serviceUuid, characteristicUuid,
-		new Error('Not implemented'));
+		// The MTU may change during the transfer, so the chunk size is recalculated each time.
+		let chunk = data.slice(offset, offset + this._getMaxWriteLength(deviceUuid));
+		return this._writeCharacteristicAsync(
+				deviceUuid, serviceUuid, characteristicUuid, chunk, withoutResponse).then(() => {
+			offset += chunk.length;
+			this.emit('longWriteProgress', deviceUuid, serviceUuid, characteristicUuid,
+				offset, data.length);
+			return writeNextChunk();
+		});
+	};
+
+	Promise.resolve().then(writeNextChunk).then(() => {
+		this.emit('longWrite', deviceUuid, serviceUuid, characteristicUuid);
+	}).catch(ex => {
+		ex = toGattError(ex, 'writeLong', deviceUuid, serviceUuid, characteristicUuid);
+		debug('failed to write long characteristic for device %s at offset %d: %s',
+			deviceUuid, offset, ex.stack);
+
+		// The offset of the first byte that was not written allows resuming the write.
+		ex.offset = offset;
+		this.emit('longWrite', deviceUuid, serviceUuid, characteristicUuid, ex);
+	});
 };
 
-NobleBindings.prototype.notify = function(deviceUuid, serviceUuid, characteristicUuid, notify) {
-	debug('notify(%s, %s, %s, %s)', deviceUuid, serviceUuid, characteristicUuid, notify);
+// A characteristic with the broadcast property includes its value in the service data of the
+// device's advertisements while broadcasting is enabled in its server characteristic
+// configuration descriptor. The broadcast values are emitted as notifications.
+NobleBindings.prototype.broadcast =
+		function(deviceUuid, serviceUuid, characteristicUuid, broadcast) {
+	debug('broadcast(%s, %s, %s, %s)', deviceUuid, serviceUuid, characteristicUuid, broadcast);
 
 	this._getCachedCharacteristicAsync(
 			deviceUuid, serviceUuid, characteristicUuid).then(characteristic => {
-		let listenerKey = deviceUuid + '/' + serviceUuid + '/' + characteristicUuid;
-		let listener = this._listenerMap[listenerKey];
-
-		if (notify) {
-			if (listener) {
-				// Already listening.
-				this.emit('notify', deviceUuid, serviceUuid, characteristicUuid, notify);
-				return;
-			}
-			
-			return rt.promisify(
-					characteristic.writeClientCharacteristicConfigurationDescriptorWithResultAsync,
-					characteristic)(GattClientCharacteristicConfigurationDescriptorValue.notify)
-					.then(result => {
-				checkCommunicationResult(deviceUuid, result);
+		if (!(characteristic.characteristicProperties & GattCharacteristicProperties.broadcast)) {
+			throw new Error('Characteristic ' + characteristicUuid + ' does not support broadcast');
+		}
 
-				listener = ((source, e) => {
-					debug('notification: %s %s %s', deviceUuid, serviceUuid, characteristicUuid);
-					let data = rt.toBuffer(e.characteristicValue);
-					this.emit('read', deviceUuid, serviceUuid, characteristicUuid, data, true);
-				}).bind(this);
+		return this._getCachedDescriptorAsync(deviceUuid, serviceUuid, characteristicUuid, '2903');
+	}).then(descriptor => {
+		let value = Buffer.from([broadcast ? 0x01 : 0x00, 0x00]);
+		return this._promisify(deviceUuid, 'broadcast', descriptor.writeValueWithResultAsync,
+			descriptor)(rt.fromBuffer(value));
+	}).then(result => {
+		checkCommunicationResult(deviceUuid, result);
 
-				characteristic.addListener('valueChanged', listener);
-				this._listenerMap[listenerKey] = listener;
-				rt.keepAlive(true);
-				this.emit('notify', deviceUuid, serviceUuid, characteristicUuid, notify);
-			});
-		} else {
-			if (!listener) {
-				// Already not listening.
-				this.emit('notify', deviceUuid, serviceUuid, characteristicUuid, notify);
-				return;
+		let broadcasts = this._deviceMap[deviceUuid].broadcasts;
+		let broadcastKey = serviceUuid + '/' + characteristicUuid;
+		if (broadcast) {
+			if (!broadcasts[broadcastKey]) {
+				broadcasts[broadcastKey] = {
+					serviceUuid: serviceUuid,
+					characteristicUuid: characteristicUuid,
+					value: null,
+				};
 			}
+		} else {
+			delete broadcasts[broadcastKey];
+		}
 
-			rt.keepAlive(false);
-			characteristic.removeListener('valueChanged', listener);
-			delete this._listenerMap[listenerKey];
+		this.emit('broadcast', deviceUuid, serviceUuid, characteristicUuid, !!broadcast);
+	}).catch(ex => {
+		ex = toGattError(ex, 'broadcast', deviceUuid, serviceUuid, characteristicUuid, '2903');
+		debug('failed to configure broadcast for device %s: %s', deviceUuid, ex.stack);
+		this.emit('broadcast', deviceUuid, serviceUuid, characteristicUuid, ex);
+	});
+};
 
-			return rt.promisify(
-					characteristic.writeClientCharacteristicConfigurationDescriptorWithResultAsync,
-					characteristic)(GattClientCharacteristicConfigurationDescriptorValue.none)
-					.then(result => {
-				checkCommunicationResult(deviceUuid, result);
+// The notify parameter may be 'notify' or 'indicate' to request either kind explicitly;
+// any other truthy value chooses based on the characteristic properties.
+NobleBindings.prototype.notify = function(deviceUuid, serviceUuid, characteristicUuid, notify) {
+	debug('notify(%s, %s, %s, %s)', deviceUuid, serviceUuid, characteristicUuid, notify);
 
-				this.emit('notify', deviceUuid, serviceUuid, characteristicUuid, notify);
-			});
-		}
+	this._getCachedCharacteristicAsync(
+			deviceUuid, serviceUuid, characteristicUuid).then(characteristic => {
+		let descriptorValue = (notify ? getNotifyDescriptorValue(characteristic, notify) :
+			GattClientCharacteristicConfigurationDescriptorValue.none);
+		return this._configureNotifyAsync(
+			deviceUuid, serviceUuid, characteristicUuid, characteristic, descriptorValue);
+	}).then(() => {
+		this.emit('notify', deviceUuid, serviceUuid, characteristicUuid, (notify ? true : notify));
 	}).catch(ex => {
+		ex = toGattError(ex, 'notify', deviceUuid, serviceUuid, characteristicUuid);
 		debug('failed to enable characteristic notify for device %s: %s', deviceUuid, ex.stack);
 		this.emit('notify', deviceUuid, serviceUuid, characteristicUuid, ex);
 	});
 };
 
+// Write the client characteristic configuration descriptor of a characteristic, and add or
+// remove the listener for its notifications and indications accordingly.
+NobleBindings.prototype._configureNotifyAsync = function(
+		deviceUuid, serviceUuid, characteristicUuid, characteristic, descriptorValue) {
+	let listenerKey = deviceUuid + '/' + serviceUuid + '/' + characteristicUuid;
+	let listener = this._listenerMap[listenerKey];
+	debug('  => %s', rt.getEnumName(
+		GattClientCharacteristicConfigurationDescriptorValue, descriptorValue));
+
+	if (descriptorValue === GattClientCharacteristicConfigurationDescriptorValue.none) {
+		if (!listener) {
+			// Already not listening.
+			return Promise.resolve();
+		}
+
+		rt.keepAlive(false);
+		characteristic.removeListener('valueChanged', listener);
+		delete this._listenerMap[listenerKey];
+	}
+
+	// The descriptor is written even when already listening, in case a different
+	// kind (notify or indicate) is requested now.
+	return this._promisify(deviceUuid, 'notify',
+			characteristic.writeClientCharacteristicConfigurationDescriptorWithResultAsync,
+			characteristic)(descriptorValue).then(result => {
+		checkCommunicationResult(deviceUuid, result);
+
+		if (descriptorValue !== GattClientCharacteristicConfigurationDescriptorValue.none &&
+				!listener) {
+			// Notifications and indications are both received as value changes.
+			let valueHandle = getValueHandle(characteristic);
+			listener = ((source, e) => {
+				debug('notification: %s %s %s', deviceUuid, serviceUuid, characteristicUuid);
+				let data = rt.toBuffer(e.characteristicValue);
+				this.emit('read', deviceUuid, serviceUuid, characteristicUuid, data, true);
+				this.emit('handleNotify', deviceUuid, valueHandle, data);
+			}).bind(this);
+
+			characteristic.addListener('valueChanged', listener);
+			this._listenerMap[listenerKey] = listener;
+			rt.keepAlive(true);
+		}
+	});
+};
+
 NobleBindings.prototype.discoverDescriptors =
 		function(deviceUuid, serviceUuid, characteristicUuid) {
 	debug('discoverDescriptors(%s, %s, %s)', deviceUuid, serviceUuid, characteristicUuid);
 
 	this._getCachedCharacteristicAsync(
 			deviceUuid, serviceUuid, characteristicUuid).then(characteristic => {
-		return rt.promisify(characteristic.getDescriptorsAsync, characteristic)(
+		return this._promisify(deviceUuid, 'discoverDescriptors',
+				characteristic.getDescriptorsAsync, characteristic)(
 				BluetoothCacheMode.uncached).then(result => {
 			checkCommunicationResult(deviceUuid, result);
-			
+			this._indexDescriptors(deviceUuid, serviceUuid, characteristicUuid, characteristic,
+				rt.toArray(result.descriptors));
+
 			let descriptors = rt.toArray(result.descriptors).map(d => d.uuid);
 			this.emit('descriptorsDiscover', deviceUuid, serviceUuid, characteristicUuid, descriptors);
 		});
 	}).catch (ex => {
+		ex = toGattError(ex, 'discoverDescriptors', deviceUuid, serviceUuid, characteristicUuid);
 		debug('failed to get GATT characteristic descriptors for device %s: %s',
 			deviceUuid, ex.stack);
 		this.emit('descriptorsDiscover', deviceUuid, serviceUuid, characteristicUuid, ex);
@@ -356,7 +685,7 @@ NobleBindings.prototype.readValue =
 
 	return this._getCachedDescriptorAsync(
 			deviceUuid, serviceUuid, characteristicUuid, descriptorUuid).then(descriptor => {
-		return rt.promisify(descriptor.readValueAsync, descriptor)(
+		return this._promisify(deviceUuid, 'readValue', descriptor.readValueAsync, descriptor)(
 				BluetoothCacheMode.uncached).then(result => {
 			checkCommunicationResult(deviceUuid, result);
 			let data = rt.toBuffer(result.value);
@@ -365,6 +694,8 @@ NobleBindings.prototype.readValue =
 			this.emit('readValue', deviceUuid, serviceUuid, characteristicUuid, descriptorUuid, data);
 		});
 	}).catch (ex => {
+		ex = toGattError(ex, 'readValue', deviceUuid,
+			serviceUuid, characteristicUuid, descriptorUuid);
 		debug('failed to read GATT characteristic descriptor values for device %s: %s', deviceUuid,
 			ex.stack);
 		this.emit('readValue', deviceUuid, serviceUuid, characteristicUuid, descriptorUuid, ex);
@@ -379,27 +710,322 @@ NobleBindings.prototype.writeValue =
 	this._getCachedDescriptorAsync(
 			deviceUuid, serviceUuid, characteristicUuid, descriptorUuid).then(descriptor => {
 		let rtBuffer = rt.fromBuffer(data);
-		return rt.promisify(descriptor.writeValueWithResultAsync, descriptor)(
-				rtBuffer).then(result => {
+		return this._promisify(deviceUuid, 'writeValue',
+				descriptor.writeValueWithResultAsync, descriptor)(rtBuffer).then(result => {
 			checkCommunicationResult(deviceUuid, result);
 			this.emit('writeValue', deviceUuid, serviceUuid, characteristicUuid, descriptorUuid);
 		});
 	}).catch(ex => {
+		ex = toGattError(ex, 'writeValue', deviceUuid,
+			serviceUuid, characteristicUuid, descriptorUuid);
 		debug('failed to write characteristic descriptor for device %s: %s', deviceUuid, ex.stack);
-		if (!withoutResponse) {
-			this.emit('writeValue', deviceUuid, serviceUuid, characteristicUuid, descriptorUuid, ex);
-		}
+		this.emit('writeValue', deviceUuid, serviceUuid, characteristicUuid, descriptorUuid, ex);
 	});
 };
 
+// Handles refer to characteristic values and descriptors, as indexed by discovery. If a handle
+// was not discovered yet, all attributes of the device are discovered to find it.
 NobleBindings.prototype.readHandle = function(deviceUuid, handle) {
-	this.emit('readHandle', deviceUuid, handle, new Error('Not supported'));
+	debug('readHandle(%s, %d)', deviceUuid, handle);
+
+	let entry;
+	this._getHandleAsync(deviceUuid, handle).then(handleEntry => {
+		entry = handleEntry;
+		let attribute = entry.descriptor || entry.characteristic;
+		return this._promisify(deviceUuid, 'readHandle', attribute.readValueAsync, attribute)(
+			BluetoothCacheMode.uncached);
+	}).then(result => {
+		checkCommunicationResult(deviceUuid, result);
+		let data = rt.toBuffer(result.value);
+
+		debug('  => [' + data.length + ']');
+		this.emit('handleRead', deviceUuid, handle, data);
+	}).catch(ex => {
+		ex = toGattError(ex, 'readHandle', deviceUuid, entry && entry.serviceUuid,
+			entry && entry.characteristicUuid, entry && entry.descriptorUuid);
+		ex.handle = handle;
+		debug('failed to read handle %d for device %s: %s', handle, deviceUuid, ex.stack);
+		this.emit('handleRead', deviceUuid, handle, ex);
+	});
 };
 
 NobleBindings.prototype.writeHandle = function(deviceUuid, handle, data, withoutResponse) {
-	if (!withoutResponse) {
-		this.emit('writeHandle', deviceUuid, handle, new Error('Not supported'));
+	debug('writeHandle(%s, %d, (data), %s)', deviceUuid, handle, withoutResponse);
+
+	let entry;
+	this._getHandleAsync(deviceUuid, handle).then(handleEntry => {
+		entry = handleEntry;
+		if (!entry.descriptor) {
+			return this._writeCharacteristicAsync(deviceUuid, entry.serviceUuid,
+				entry.characteristicUuid, data, withoutResponse);
+		} else if (entry.descriptorUuid === '2902') {
+			// Windows does not allow writing the client characteristic configuration descriptor
+			// directly; enabling notifications this way also routes them to 'handleNotify'.
+			let value = data.readUInt16LE(0);
+			let descriptorValue = ((value & 0x1) ?
+				GattClientCharacteristicConfigurationDescriptorValue.notify : (value & 0x2) ?
+				GattClientCharacteristicConfigurationDescriptorValue.indicate :
+				GattClientCharacteristicConfigurationDescriptorValue.none);
+			return this._configureNotifyAsync(deviceUuid, entry.serviceUuid,
+				entry.characteristicUuid, entry.characteristic, descriptorValue);
+		}
+
+		let descriptor = entry.descriptor;
+		return this._promisify(deviceUuid, 'writeHandle', descriptor.writeValueWithResultAsync,
+			descriptor)(rt.fromBuffer(data)).then(result => {
+			checkCommunicationResult(deviceUuid, result);
+		});
+	}).then(() => {
+		this.emit('handleWrite', deviceUuid, handle);
+	}).catch(ex => {
+		ex = toGattError(ex, 'writeHandle', deviceUuid, entry && entry.serviceUuid,
+			entry && entry.characteristicUuid, entry && entry.descriptorUuid);
+		ex.handle = handle;
+		debug('failed to write handle %d for device %s: %s', handle, deviceUuid, ex.stack);
+		this.emit('handleWrite', deviceUuid, handle, ex);
+	});
+};
+
+// A reliable write transaction queues writes to any characteristics of one device, which the
+// device then applies atomically when the transaction is committed. Nothing is sent to the
+// device before the commit, so an uncommitted transaction can simply be discarded.
+NobleBindings.prototype.beginReliableWrite = function(deviceUuid) {
+	debug('beginReliableWrite(%s)', deviceUuid);
+
+	let deviceRecord = this._deviceMap[deviceUuid];
+	if (!deviceRecord) {
+		throw new Error('Invalid or unknown device UUID: ' + deviceUuid);
+	}
+
+	if (!deviceRecord.device) {
+		throw new Error('Device is not connected. UUID: ' + deviceUuid);
+	}
+
+	if (deviceRecord.reliableWrite) {
+		throw new Error('A reliable write transaction is already in progress for device: ' +
+			deviceUuid);
+	}
+
+	deviceRecord.reliableWrite = {
+		transaction: new GattReliableWriteTransaction(),
+		pending: Promise.resolve(),
+		count: 0,
+	};
+};
+
+NobleBindings.prototype.reliableWrite =
+		function(deviceUuid, serviceUuid, characteristicUuid, data) {
+	debug('reliableWrite(%s, %s, %s, (data))', deviceUuid, serviceUuid, characteristicUuid);
+
+	let reliableWrite = this._getReliableWrite(deviceUuid);
+
+	// Looking up the characteristic is asynchronous, so the writes are chained to keep them in
+	// order. If one of them fails, the rest are skipped and the commit reports the first error.
+	// The chain itself never rejects, so it can be dropped at any time by an abort.
+	reliableWrite.pending = reliableWrite.pending.then(() => {
+		if (reliableWrite.error) {
+			return;
+		}
+		return this._getCachedCharacteristicAsync(deviceUuid, serviceUuid, characteristicUuid)
+				.then(characteristic => {
+			reliableWrite.transaction.writeValue(characteristic, rt.fromBuffer(data));
+			reliableWrite.count++;
+		});
+	}).catch(ex => {
+		debug('failed to queue reliable write for device %s: %s', deviceUuid, ex.stack);
+		reliableWrite.error = ex;
+	});
+};
+
+NobleBindings.prototype.commitReliableWrite = function(deviceUuid) {
+	debug('commitReliableWrite(%s)', deviceUuid);
+
+	let reliableWrite = this._getReliableWrite(deviceUuid);
+	this._deviceMap[deviceUuid].reliableWrite = null;
+
+	let transaction = reliableWrite.transaction;
+	reliableWrite.pending.then(() => {
+		if (reliableWrite.error) {
+			throw reliableWrite.error;
+		}
+		return this._promisify(deviceUuid, 'commitReliableWrite',
+				transaction.commitWithResultAsync, transaction)();
+	}).then(result => {
+		checkCommunicationResult(deviceUuid, result);
+
+		debug('  => committed %d writes', reliableWrite.count);
+		this.emit('reliableWriteCommit', deviceUuid,
+			rt.getEnumName(GattCommunicationStatus, result.status));
+	}).catch(ex => {
+		ex = toGattError(ex, 'commitReliableWrite', deviceUuid);
+		debug('failed to commit reliable write for device %s: %s', deviceUuid, ex.stack);
+		this.emit('reliableWriteCommit', deviceUuid, ex);
+	});
+};
+
+NobleBindings.prototype.abortReliableWrite = function(deviceUuid) {
+	debug('abortReliableWrite(%s)', deviceUuid);
+
+	let reliableWrite = this._getReliableWrite(deviceUuid);
+	this._deviceMap[deviceUuid].reliableWrite = null;
+	discardReliableWrite(reliableWrite, 'Reliable write aborted. UUID: ' + deviceUuid);
+};
+
+NobleBindings.prototype._getReliableWrite = function(deviceUuid) {
+	let deviceRecord = this._deviceMap[deviceUuid];
+	if (!deviceRecord) {
+		throw new Error('Invalid or unknown device UUID: ' + deviceUuid);
+	}
+
+	if (!deviceRecord.reliableWrite) {
+		throw new Error('No reliable write transaction in progress for device: ' + deviceUuid);
+	}
+
+	return deviceRecord.reliableWrite;
+};
+
+// Pair with a device, using any of the ceremonies named in options.kinds (by default only
+// 'justWorks'), with at least the DevicePairingProtectionLevel named in options.protectionLevel.
+// Each step of the ceremony is emitted as a 'pairingRequest' event with the device UUID and a
+// { kind, pin, accept(pin), reject() } object; pairing waits until accept or reject is called.
+// Without listeners, 'justWorks' requests are accepted and the others are rejected.
+NobleBindings.prototype.pair = function(deviceUuid, options) {
+	debug('pair(%s, %o)', deviceUuid, options);
+	options = options || {};
+
+	let kinds = (options.kinds || ['justWorks']).reduce((kinds, kind) => {
+		if (!pairingKinds.hasOwnProperty(kind)) {
+			throw new Error('Unknown pairing kind: ' + kind);
+		}
+		return kinds | pairingKinds[kind];
+	}, DevicePairingKinds.none);
+
+	let protectionLevel = DevicePairingProtectionLevel[options.protectionLevel || 'default'];
+	if (protectionLevel === undefined) {
+		throw new Error('Unknown pairing protection level: ' + options.protectionLevel);
 	}
+
+	let customPairing = null;
+	let pairingRequestedListener = this._onPairingRequested.bind(this, deviceUuid);
+
+	this._withDeviceAsync(deviceUuid, device => {
+		customPairing = device.deviceInformation.pairing.custom;
+		customPairing.addListener('pairingRequested', pairingRequestedListener);
+		return rt.promisify(customPairing.pairAsync, customPairing)(kinds, protectionLevel);
+	}).then(result => {
+		let status = rt.getEnumName(DevicePairingResultStatus, result.status);
+		debug('  => %s', status);
+		this.emit('pair', deviceUuid, {
+			status: status,
+			paired: (result.status === DevicePairingResultStatus.paired ||
+				result.status === DevicePairingResultStatus.alreadyPaired),
+			protectionLevel: rt.getEnumName(DevicePairingProtectionLevel, result.protectionLevelUsed),
+		});
+	}).catch(ex => {
+		ex = toPairingError(ex, 'pair', deviceUuid);
+		debug('failed to pair with device %s: %s', deviceUuid, ex.stack);
+		this.emit('pair', deviceUuid, ex);
+	}).then(() => {
+		if (customPairing) {
+			customPairing.removeListener('pairingRequested', pairingRequestedListener);
+		}
+	});
+};
+
+NobleBindings.prototype.unpair = function(deviceUuid) {
+	debug('unpair(%s)', deviceUuid);
+
+	this._withDeviceAsync(deviceUuid, device => {
+		let pairing = device.deviceInformation.pairing;
+		return rt.promisify(pairing.unpairAsync, pairing)();
+	}).then(result => {
+		let status = rt.getEnumName(DeviceUnpairingResultStatus, result.status);
+		debug('  => %s', status);
+		this.emit('unpair', deviceUuid, {
+			status: status,
+			unpaired: (result.status === DeviceUnpairingResultStatus.unpaired ||
+				result.status === DeviceUnpairingResultStatus.alreadyUnpaired),
+		});
+	}).catch(ex => {
+		ex = toPairingError(ex, 'unpair', deviceUuid);
+		debug('failed to unpair device %s: %s', deviceUuid, ex.stack);
+		this.emit('unpair', deviceUuid, ex);
+	});
+};
+
+NobleBindings.prototype._onPairingRequested = function(deviceUuid, sender, e) {
+	let kind = Object.keys(pairingKinds).find(kind => pairingKinds[kind] === e.pairingKind);
+	debug('pairing requested: %s %s', deviceUuid, kind);
+
+	// The deferral keeps the ceremony waiting until the request is answered.
+	let deferral = e.getDeferral();
+	let answered = false;
+	let answer = (accept, pin) => {
+		if (answered) {
+			return;
+		}
+		answered = true;
+
+		try {
+			if (accept && pin !== undefined) {
+				e.accept(String(pin));
+			} else if (accept) {
+				e.accept();
+			}
+		} finally {
+			deferral.complete();
+		}
+	};
+
+	let request = {
+		kind: kind,
+		pin: e.pin || null,
+		accept: pin => answer(true, pin),
+		reject: () => answer(false),
+	};
+
+	if (this.listenerCount('pairingRequest') > 0) {
+		this.emit('pairingRequest', deviceUuid, request);
+	} else if (kind === 'justWorks') {
+		request.accept();
+	} else {
+		debug('no pairingRequest listener, rejecting %s request', kind);
+		request.reject();
+	}
+};
+
+// Run an async function with the BluetoothLEDevice of a device. If the device is not connected,
+// the BluetoothLEDevice is obtained for the call and closed afterwards.
+NobleBindings.prototype._withDeviceAsync = function(deviceUuid, fn) {
+	let deviceRecord = this._deviceMap[deviceUuid];
+	if (!deviceRecord) {
+		throw new Error('Invalid or unknown device UUID: ' + deviceUuid);
+	}
+
+	if (deviceRecord.device) {
+		return Promise.resolve(deviceRecord.device).then(fn);
+	}
+
+	let device = null;
+	let closeDevice = () => {
+		if (device) {
+			device.close();
+		}
+	};
+	return rt.promisify(BluetoothLEDevice.fromBluetoothAddressAsync)(
+			deviceRecord.address).then(result => {
+		device = result;
+		if (!device) {
+			throw new Error('Device not found: ' + deviceRecord.formattedAddress);
+		}
+		return fn(device);
+	}).then(result => {
+		closeDevice();
+		return result;
+	}, ex => {
+		closeDevice();
+		throw ex;
+	});
 };
 
 NobleBindings.prototype._updateRadioState = function() {
@@ -433,7 +1059,7 @@ NobleBindings.prototype._updateRadioState = function() {
 };
 
 NobleBindings.prototype._onAdvertisementWatcherReceived = function(sender, e) {
-	let address = formatBluetoothAddress(e.bluetoothAddress);
+	let address = rt.formatBluetoothAddress(e.bluetoothAddress);
 	debug('watcher received: %s %s', address, e.advertisement.localName);
 
 	// Random addresses have the two most-significant bits set of the 48-bit address.
@@ -444,7 +1070,7 @@ NobleBindings.prototype._onAdvertisementWatcherReceived = function(sender, e) {
 	let rssi = e.rawSignalStrengthInDBm;
 
 	debug('    advertisement type: %s',
-		getEnumName(BluetoothLEAdvertisementType, e.advertisementType));
+		rt.getEnumName(BluetoothLEAdvertisementType, e.advertisementType));
 
 	let connectable;
 	switch (e.advertisementType) {
@@ -462,10 +1088,15 @@ NobleBindings.prototype._onAdvertisementWatcherReceived = function(sender, e) {
 	}
 
 	let dataSections = rt.toArray(e.advertisement.dataSections);
-	dataSections.forEach(dataSection => {
-		debug('    data section: %s',
-			(getEnumName(BluetoothLEAdvertisementDataTypes, dataSection.dataType) ||
-			dataSection.dataType));
+	let decodedDataSections = dataSections.map(dataSection => {
+		let decodedDataSection = {
+			type: dataSection.dataType,
+			name: rt.getEnumName(BluetoothLEAdvertisementDataTypes, dataSection.dataType) || null,
+			data: rt.toBuffer(dataSection.data),
+		};
+		debug('    data section: %s %s', (decodedDataSection.name || decodedDataSection.type),
+			decodedDataSection.data.toString('hex'));
+		return decodedDataSection;
 	});
 
 	debug('    flags: %s', e.advertisement.flags);
@@ -480,6 +1111,15 @@ NobleBindings.prototype._onAdvertisementWatcherReceived = function(sender, e) {
 		dataReader.close();
 	}
 
+	let serviceData = getServiceData(decodedDataSections);
+	serviceData.forEach(sd => {
+		debug('    service data: %s %s', sd.uuid, sd.data.toString('hex'));
+	});
+
+	// Data that may differ between the advertisement and the scan response is kept separately.
+	let pduKey = (e.advertisementType === BluetoothLEAdvertisementType.scanResponse ?
+		'scanResponse' : 'advertisement');
+
 	let deviceRecord = this._deviceMap[deviceUuid];
 	if (!deviceRecord) {
 		deviceRecord = {
@@ -489,62 +1129,171 @@ NobleBindings.prototype._onAdvertisementWatcherReceived = function(sender, e) {
 			addressType: addressType,
 			connectable: connectable,
 			serviceUuids: [],
+			dataSections: {},
+			serviceData: {},
+			manufacturerData: {},
 			txPowerLevel: null,
+			rssi: null,
+			rssiTimestamp: 0,
 			device: null,
+			session: null,
+			maxPduSizeListener: null,
+			reliableWrite: null,
+			operationQueue: [],
+			pendingOperations: new Set(),
+			wasConnected: false,
+			connectionStatusListener: null,
 			serviceMap: {},
 			characteristicMap: {},
 			descriptorMap: {},
+			handleMap: {},
+			broadcasts: {},
 		};
 		this._deviceMap[deviceUuid] = deviceRecord;
 	}
 
-	if (e.advertisement.localName) {
-		deviceRecord.name = e.advertisement.localName;
+	if (connectable !== undefined) {
+		deviceRecord.connectable = connectable;
 	}
 
-	var manufacturerSections = e.advertisement.manufacturerData;
-	if (manufacturerSections.size > 0) {
-		var manufacturerData = manufacturerSections[0];
-		deviceRecord.manufacturerData = rt.toBuffer(manufacturerData.data);
-		let companyIdHex = manufacturerData.companyId.toString(16);
-		let toAppend = Buffer.allocUnsafe(2);
-		toAppend.writeUInt16LE(manufacturerData.companyId);
-		deviceRecord.manufacturerData = Buffer.concat([toAppend,  deviceRecord.manufacturerData]);
-		debug('    manufacturer data: %s', deviceRecord.manufacturerData.toString('hex'));
+	deviceRecord.rssi = rssi;
+	deviceRecord.rssiTimestamp = Date.now();
+
+	if (e.advertisement.localName) {
+		deviceRecord.name = e.advertisement.localName;
 	}
 
+	// Replace (rather than merge) the manufacturer data of this PDU, so that no stale
+	// sections remain when the device stops sending some of them.
+	deviceRecord.manufacturerData[pduKey] =
+		rt.toArray(e.advertisement.manufacturerData).map(manufacturerData => {
+			let data = rt.toBuffer(manufacturerData.data);
+			debug('    manufacturer data: %s %s',
+				manufacturerData.companyId.toString(16), data.toString('hex'));
+			return {
+				companyId: manufacturerData.companyId,
+				data: data,
+			};
+		});
 
 	let serviceUuids = rt.toArray(e.advertisement.serviceUuids);
 	serviceUuids.forEach(serviceUuid => {
-		debug('    service UUID: %s', (getEnumName(GattServiceUuids, serviceUuid) || serviceUuid));
+		debug('    service UUID: %s', (rt.getEnumName(GattServiceUuids, serviceUuid) || serviceUuid));
+		serviceUuid = formatUuid(serviceUuid);
 		if (deviceRecord.serviceUuids.indexOf(serviceUuid) < 0) {
 			deviceRecord.serviceUuids.push(serviceUuid);
 		}
 	});
 
+	deviceRecord.dataSections[pduKey] = decodedDataSections;
+	deviceRecord.serviceData[pduKey] = serviceData;
+
 	if (txPowerLevel) {
 		deviceRecord.txPowerLevel = txPowerLevel;
 	}
 
-	// Wait until the response to the active query before emitting a 'discover' event.
-	if (e.advertisementType == BluetoothLEAdvertisementType.scanResponse) {
-		let advertisement = {
-			localName: deviceRecord.name,
-			txPowerLevel: deviceRecord.txPowerLevel,
-			manufacturerData: deviceRecord.manufacturerData, // TODO: manufacturerData
-			serviceUuids: deviceRecord.serviceUuids,
-			serviceData: [], // TODO: serviceData
+	this._routeBroadcasts(deviceUuid, deviceRecord, serviceData);
+
+	if (!this._matchesScanFilter(deviceRecord)) {
+		return;
+	}
+
+	let discovery = this._scanDiscoveries[deviceUuid];
+	if (!discovery) {
+		discovery = {
+			signature: undefined,
+			rssi: rssi,
+			hasScanResponse: false,
+			timer: null,
 		};
+		this._scanDiscoveries[deviceUuid] = discovery;
+	}
+	discovery.rssi = rssi;
+
+	if (e.advertisementType === BluetoothLEAdvertisementType.scanResponse) {
+		// The scan response completes the advertisement data. If the device was already
+		// reported without it, the merged data is reported as an update.
+		let isUpdate = !discovery.hasScanResponse;
+		discovery.hasScanResponse = true;
+		this._clearScanResponseTimer(discovery);
+		this._emitDiscover(deviceUuid, deviceRecord, rssi, isUpdate);
+	} else if (discovery.signature !== undefined || discovery.hasScanResponse ||
+			!this._isScanResponseExpected(e.advertisementType)) {
+		this._emitDiscover(deviceUuid, deviceRecord, rssi, false);
+	} else if (!discovery.timer) {
+		// Hold back the first report for a while, hoping to include the scan response data.
+		discovery.timer = setTimeout(() => {
+			discovery.timer = null;
+			debug('scan response timeout: %s', deviceUuid);
+			this._emitDiscover(deviceUuid, deviceRecord, discovery.rssi, false);
+		}, this._options.scanResponseTimeout);
+	}
+};
+
+NobleBindings.prototype._isScanResponseExpected = function(advertisementType) {
+	// Only scannable advertisements get a scan response, and only when scanning actively.
+	return this._advertisementWatcher.scanningMode === BluetoothLEScanningMode.active &&
+		(advertisementType === BluetoothLEAdvertisementType.connectableUndirected ||
+		advertisementType === BluetoothLEAdvertisementType.scannableUndirected);
+};
+
+NobleBindings.prototype._clearScanResponseTimer = function(discovery) {
+	if (discovery.timer) {
+		clearTimeout(discovery.timer);
+		discovery.timer = null;
+	}
+};
+
+NobleBindings.prototype._clearScanDiscoveries = function() {
+	Object.keys(this._scanDiscoveries).forEach(deviceUuid => {
+		this._clearScanResponseTimer(this._scanDiscoveries[deviceUuid]);
+	});
+	this._scanDiscoveries = {};
+};
 
-		this.emit(
-			'discover',
-			 deviceUuid,
-			 address,
-			 deviceRecord.addressType,
-			 deviceRecord.connectable,
-			 advertisement,
-			 rssi);
+NobleBindings.prototype._emitDiscover = function(deviceUuid, deviceRecord, rssi, isUpdate) {
+	let manufacturerDataList = (deviceRecord.manufacturerData.advertisement || []).concat(
+		deviceRecord.manufacturerData.scanResponse || []);
+
+	let advertisement = {
+		localName: deviceRecord.name,
+		txPowerLevel: deviceRecord.txPowerLevel,
+		manufacturerData: (manufacturerDataList.length > 0 ?
+			formatManufacturerData(manufacturerDataList[0]) : undefined),
+		manufacturerDataList: manufacturerDataList,
+		serviceUuids: deviceRecord.serviceUuids,
+		serviceData: (deviceRecord.serviceData.advertisement || []).concat(
+			deviceRecord.serviceData.scanResponse || []),
+		eir: encodeDataSections(deviceRecord.dataSections.advertisement),
+		dataSections: deviceRecord.dataSections.advertisement,
+		scanResponse: encodeDataSections(deviceRecord.dataSections.scanResponse),
+		scanResponseDataSections: deviceRecord.dataSections.scanResponse,
+	};
+	advertisement.beacon = beacon.decode(advertisement, rssi);
+
+	// A device is reported once per scan (plus a scan response update), unless duplicates are
+	// allowed. Optionally duplicates are further limited to reports where something changed.
+	let discovery = this._scanDiscoveries[deviceUuid];
+	let signature = getDiscoverSignature(advertisement, rssi);
+	let lastSignature = discovery.signature;
+	if (lastSignature !== undefined) {
+		let changed = (signature !== lastSignature);
+		if (this._allowDuplicates ?
+				(this._options.discoverOnChangeOnly && !changed) : !(isUpdate && changed)) {
+			debug('    duplicate discovery suppressed');
+			return;
+		}
 	}
+	discovery.signature = signature;
+
+	this.emit(
+		'discover',
+		 deviceUuid,
+		 deviceRecord.formattedAddress,
+		 deviceRecord.addressType,
+		 deviceRecord.connectable,
+		 advertisement,
+		 rssi);
 };
 
 NobleBindings.prototype._onAdvertisementWatcherStopped = function(sender, e) {
@@ -557,6 +1306,353 @@ NobleBindings.prototype._onAdvertisementWatcherStopped = function(sender, e) {
 	}
 };
 
+NobleBindings.prototype._onConnectionStatusChanged = function(deviceUuid, sender, e) {
+	let deviceRecord = this._deviceMap[deviceUuid];
+	let status = sender.connectionStatus;
+	debug('connection status changed: %s %s', deviceUuid,
+		rt.getEnumName(BluetoothConnectionStatus, status));
+
+	if (status === BluetoothConnectionStatus.connected) {
+		deviceRecord.wasConnected = true;
+	} else if (status === BluetoothConnectionStatus.disconnected && deviceRecord.wasConnected) {
+		// The link was dropped by the remote device, or it went out of range.
+		this._releaseDevice(deviceUuid);
+		this._updateRssiWatcher();
+		this.emit('disconnect', deviceUuid, 'connection lost');
+	}
+};
+
+NobleBindings.prototype._onMaxPduSizeChanged = function(deviceUuid, sender, e) {
+	let mtu = sender.maxPduSize;
+	debug('MTU changed: %s %d', deviceUuid, mtu);
+	this.emit('mtu', deviceUuid, mtu);
+};
+
+// Release all WinRT objects held for a device, so that Windows can drop the connection, and
+// a later connection starts from a clean state.
+NobleBindings.prototype._releaseDevice = function(deviceUuid) {
+	let deviceRecord = this._deviceMap[deviceUuid];
+
+	let listenerKeyPrefix = deviceUuid + '/';
+	Object.keys(this._listenerMap).filter(listenerKey => listenerKey.startsWith(listenerKeyPrefix))
+			.forEach(listenerKey => {
+		let characteristicKey = listenerKey.substr(listenerKeyPrefix.length);
+		let characteristic = deviceRecord.characteristicMap[characteristicKey];
+		if (characteristic) {
+			characteristic.removeListener('valueChanged', this._listenerMap[listenerKey]);
+		}
+		delete this._listenerMap[listenerKey];
+		rt.keepAlive(false);
+	});
+
+	Object.keys(deviceRecord.serviceMap).forEach(serviceUuid => {
+		try {
+			deviceRecord.serviceMap[serviceUuid].close();
+		} catch (ex) {
+			debug('failed to close service %s for device %s: %s', serviceUuid, deviceUuid, ex.stack);
+		}
+	});
+
+	if (deviceRecord.session) {
+		deviceRecord.session.removeListener('maxPduSizeChanged', deviceRecord.maxPduSizeListener);
+		deviceRecord.maxPduSizeListener = null;
+
+		try {
+			deviceRecord.session.close();
+		} catch (ex) {
+			debug('failed to close GATT session for device %s: %s', deviceUuid, ex.stack);
+		}
+	}
+
+	if (deviceRecord.device) {
+		deviceRecord.device.removeListener(
+			'connectionStatusChanged', deviceRecord.connectionStatusListener);
+		deviceRecord.connectionStatusListener = null;
+
+		try {
+			deviceRecord.device.close();
+		} catch (ex) {
+			debug('failed to close device %s: %s', deviceUuid, ex.stack);
+		}
+	}
+
+	// Fail any operations still queued or waiting on the released objects; the completion
+	// callbacks of the WinRT calls may otherwise never be invoked.
+	let queuedOperations = deviceRecord.operationQueue.concat(
+		Array.from(deviceRecord.pendingOperations));
+	deviceRecord.operationQueue = [];
+	deviceRecord.pendingOperations.clear();
+	queuedOperations.forEach(queuedOperation => {
+		let err = new Error('Device disconnected. UUID: ' + deviceUuid);
+		err.code = 'ECANCELED';
+		queuedOperation.done = true;
+		clearTimeout(queuedOperation.retryTimeoutId);
+		if (queuedOperation.call) {
+			queuedOperation.call.cancel(err);
+		}
+		queuedOperation.reject(err);
+	});
+
+	if (deviceRecord.reliableWrite) {
+		discardReliableWrite(deviceRecord.reliableWrite, 'Device disconnected. UUID: ' + deviceUuid);
+	}
+
+	deviceRecord.device = null;
+	deviceRecord.session = null;
+	deviceRecord.reliableWrite = null;
+	deviceRecord.broadcasts = {};
+	deviceRecord.serviceMap = {};
+	deviceRecord.characteristicMap = {};
+	deviceRecord.descriptorMap = {};
+	deviceRecord.handleMap = {};
+};
+
+// Call a NodeRT async method as part of an operation on a device, with the timeout configured
+// for the operation. Calls to a device are queued and run at most operationConcurrency at a
+// time, because many concurrent calls tend to fail with 'unreachable'. Calls that complete
+// with 'unreachable' status are retried after a delay that doubles with each attempt.
+NobleBindings.prototype._promisify = function(deviceUuid, operation, fn, o) {
+	let timeout = this._options.operationTimeouts[operation];
+	if (timeout === undefined) {
+		timeout = this._options.operationTimeout;
+	}
+
+	return (...args) => {
+		let deviceRecord = this._deviceMap[deviceUuid];
+		if (!deviceRecord) {
+			return rt.promisify(fn, o, timeout)(...args);
+		}
+
+		return new Promise((resolve, reject) => {
+			deviceRecord.operationQueue.push({
+				operation: operation,
+				start: () => rt.promisify(fn, o, timeout)(...args),
+				resolve: resolve,
+				reject: reject,
+				attempt: 0,
+				call: null,
+				retryTimeoutId: 0,
+				done: false,
+			});
+			debug('queued %s for device %s (%d queued, %d in progress)', operation, deviceUuid,
+				deviceRecord.operationQueue.length, deviceRecord.pendingOperations.size);
+			this._runQueuedOperations(deviceUuid);
+		});
+	};
+};
+
+NobleBindings.prototype._runQueuedOperations = function(deviceUuid) {
+	let deviceRecord = this._deviceMap[deviceUuid];
+	let concurrency = Math.max(1, this._options.operationConcurrency);
+	while (deviceRecord.operationQueue.length > 0 &&
+			deviceRecord.pendingOperations.size < concurrency) {
+		let queuedOperation = deviceRecord.operationQueue.shift();
+		deviceRecord.pendingOperations.add(queuedOperation);
+		this._startQueuedOperation(deviceUuid, queuedOperation);
+	}
+};
+
+NobleBindings.prototype._startQueuedOperation = function(deviceUuid, queuedOperation) {
+	queuedOperation.attempt++;
+	queuedOperation.call = queuedOperation.start();
+	queuedOperation.call.then(result => {
+		if (queuedOperation.done) {
+			return;
+		}
+
+		if (result && result.status === GattCommunicationStatus.unreachable &&
+				queuedOperation.attempt <= this._options.operationRetries) {
+			let delay = this._options.operationRetryDelay * Math.pow(2, queuedOperation.attempt - 1);
+			debug('%s for device %s unreachable, retrying in %d ms',
+				queuedOperation.operation, deviceUuid, delay);
+			queuedOperation.call = null;
+			queuedOperation.retryTimeoutId = setTimeout(() => {
+				this._startQueuedOperation(deviceUuid, queuedOperation);
+			}, delay);
+			return;
+		}
+
+		this._finishQueuedOperation(deviceUuid, queuedOperation, null, result);
+	}, err => {
+		if (!queuedOperation.done) {
+			this._finishQueuedOperation(deviceUuid, queuedOperation, err);
+		}
+	});
+};
+
+NobleBindings.prototype._finishQueuedOperation =
+		function(deviceUuid, queuedOperation, err, result) {
+	let deviceRecord = this._deviceMap[deviceUuid];
+	queuedOperation.done = true;
+	deviceRecord.pendingOperations.delete(queuedOperation);
+
+	if (err) {
+		queuedOperation.reject(err);
+	} else {
+		queuedOperation.resolve(result);
+	}
+
+	this._runQueuedOperations(deviceUuid);
+	debug('finished %s for device %s (%d queued, %d in progress)', queuedOperation.operation,
+		deviceUuid, deviceRecord.operationQueue.length, deviceRecord.pendingOperations.size);
+};
+
+NobleBindings.prototype._updateRssiWatcher = function() {
+	// While any device is connected, a passive watcher keeps tracking advertisements (which
+	// many devices continue to send while connected) so that updateRssi() has recent values.
+	// It also receives the values of broadcasting characteristics, also when not scanning.
+	let anyWatched = Object.keys(this._deviceMap).some(deviceUuid =>
+		this._deviceMap[deviceUuid].device);
+	if (anyWatched && !this._rssiWatcher) {
+		debug('starting RSSI watcher');
+		this._rssiWatcher = new BluetoothLEAdvertisementWatcher();
+		this._rssiWatcher.scanningMode = BluetoothLEScanningMode.passive;
+		this._onRssiWatcherReceivedBound = this._onRssiWatcherReceived.bind(this);
+		this._rssiWatcher.on('received', this._onRssiWatcherReceivedBound);
+		this._rssiWatcher.start();
+		rt.keepAlive(true);
+	} else if (!anyWatched && this._rssiWatcher) {
+		debug('stopping RSSI watcher');
+		this._rssiWatcher.stop();
+		this._rssiWatcher.removeListener('received', this._onRssiWatcherReceivedBound);
+		this._onRssiWatcherReceivedBound = null;
+		this._rssiWatcher = null;
+		rt.keepAlive(false);
+	}
+};
+
+NobleBindings.prototype._onRssiWatcherReceived = function(sender, e) {
+	let deviceUuid = rt.formatBluetoothAddress(e.bluetoothAddress).replace(/:/g, '');
+	let deviceRecord = this._deviceMap[deviceUuid];
+	if (deviceRecord) {
+		deviceRecord.rssi = e.rawSignalStrengthInDBm;
+		deviceRecord.rssiTimestamp = Date.now();
+
+		if (Object.keys(deviceRecord.broadcasts).length > 0) {
+			let serviceData = getServiceData(rt.toArray(e.advertisement.dataSections).map(ds => {
+				return { type: ds.dataType, data: rt.toBuffer(ds.data) };
+			}));
+			this._routeBroadcasts(deviceUuid, deviceRecord, serviceData);
+		}
+	}
+};
+
+// Emit the values of broadcasting characteristics found in the service data of an
+// advertisement, when they change. The service data identifies only the service, so the value
+// is emitted for each broadcasting characteristic of that service.
+NobleBindings.prototype._routeBroadcasts = function(deviceUuid, deviceRecord, serviceData) {
+	Object.keys(deviceRecord.broadcasts).forEach(broadcastKey => {
+		let broadcast = deviceRecord.broadcasts[broadcastKey];
+		let sd = serviceData.find(sd => sd.uuid === broadcast.serviceUuid);
+		if (!sd || (broadcast.value && broadcast.value.equals(sd.data))) {
+			return;
+		}
+
+		broadcast.value = sd.data;
+		debug('broadcast: %s %s %s', deviceUuid, broadcast.serviceUuid, broadcast.characteristicUuid);
+		this.emit('read', deviceUuid, broadcast.serviceUuid, broadcast.characteristicUuid,
+			sd.data, true);
+	});
+};
+
+NobleBindings.prototype._createAdvertisementWatcher = function() {
+	let watcher = new BluetoothLEAdvertisementWatcher();
+	watcher.scanningMode = (this._options.passiveScanning ?
+		BluetoothLEScanningMode.passive : BluetoothLEScanningMode.active);
+
+	// A native filter only matches advertisements that contain ALL of its service UUIDs, while
+	// noble matches ANY of them. And 128-bit UUIDs often do not fit in the advertising PDU, so
+	// they may arrive only in a scan response. Therefore the native filter is used only for a
+	// single 16-bit UUID; everything else is filtered on the JS side by _matchesScanFilter().
+	let serviceUuids = this._scanServiceUuids;
+	if (serviceUuids && serviceUuids.length === 1 && serviceUuids[0].length === 4) {
+		let filter = new BluetoothLEAdvertisementFilter();
+		filter.advertisement.serviceUuids.append(rt.toGuid(serviceUuids[0]));
+		watcher.advertisementFilter = filter;
+		debug('using native advertisement filter: %s', serviceUuids[0]);
+	}
+
+	this._onAdvertisementWatcherReceivedBound = this._onAdvertisementWatcherReceived.bind(this);
+	this._onAdvertisementWatcherStoppedBound = this._onAdvertisementWatcherStopped.bind(this);
+	watcher.on('received', this._onAdvertisementWatcherReceivedBound);
+	watcher.on('stopped', this._onAdvertisementWatcherStoppedBound);
+	return watcher;
+};
+
+NobleBindings.prototype._replaceAdvertisementWatcher = function() {
+	let oldWatcher = this._advertisementWatcher;
+	oldWatcher.removeListener('received', this._onAdvertisementWatcherReceivedBound);
+	oldWatcher.removeListener('stopped', this._onAdvertisementWatcherStoppedBound);
+	this._advertisementWatcher = this._createAdvertisementWatcher();
+};
+
+NobleBindings.prototype._matchesScanFilter = function(deviceRecord) {
+	let filter = this._scanServiceUuids;
+	if (!filter) {
+		return true;
+	}
+
+	// Like the HCI bindings, also match service data UUIDs.
+	let serviceDataUuids = Object.keys(deviceRecord.serviceData).reduce((uuids, pduKey) =>
+		uuids.concat(deviceRecord.serviceData[pduKey].map(sd => sd.uuid)), []);
+	return deviceRecord.serviceUuids.concat(serviceDataUuids).some(uuid => filter.indexOf(uuid) >= 0);
+};
+
+NobleBindings.prototype._readCharacteristicAsync =
+		function(deviceUuid, serviceUuid, characteristicUuid, cacheMode) {
+	return this._getCachedCharacteristicAsync(
+			deviceUuid, serviceUuid, characteristicUuid).then(characteristic => {
+		let readArgs = (cacheMode !== undefined ? [cacheMode] : []);
+		return this._promisify(deviceUuid, 'read',
+				characteristic.readValueAsync, characteristic)(...readArgs);
+	}).then(result => {
+		checkCommunicationResult(deviceUuid, result);
+		return rt.toBuffer(result.value);
+	});
+};
+
+NobleBindings.prototype._writeCharacteristicAsync =
+		function(deviceUuid, serviceUuid, characteristicUuid, data, withoutResponse) {
+	return Promise.resolve().then(() => {
+		// A write without response must fit in one ATT packet, while Windows sends a longer write
+		// with response as an ATT long write (prepare and execute).
+		if (withoutResponse) {
+			let maxLength = this._getMaxWriteLength(deviceUuid);
+			if (this.getMtu(deviceUuid) && data.length > maxLength) {
+				throw new Error('Data length ' + data.length + ' exceeds the maximum of ' +
+					maxLength + ' bytes for the MTU of device ' + deviceUuid);
+			}
+		} else if (data.length > maxAttributeValueLength) {
+			throw new Error('Data length ' + data.length + ' exceeds the maximum attribute ' +
+				'value length of ' + maxAttributeValueLength + ' bytes');
+		}
+
+		return this._getCachedCharacteristicAsync(deviceUuid, serviceUuid, characteristicUuid);
+	}).then(characteristic => {
+		// Fail fast instead of sending a write type that the characteristic does not support.
+		let props = characteristic.characteristicProperties;
+		if (withoutResponse && !(props & GattCharacteristicProperties.writeWithoutResponse)) {
+			throw new Error('Characteristic ' + characteristicUuid +
+				' does not support write without response');
+		} else if (!withoutResponse && !(props & GattCharacteristicProperties.write)) {
+			throw new Error('Characteristic ' + characteristicUuid + ' does not support write');
+		}
+
+		let rtBuffer = rt.fromBuffer(data);
+		let writeOption = (withoutResponse ?
+			GattWriteOption.writeWithoutResponse : GattWriteOption.writeWithResponse);
+		return this._promisify(deviceUuid, 'write',
+				characteristic.writeValueWithResultAsync, characteristic)(rtBuffer, writeOption);
+	}).then(result => {
+		checkCommunicationResult(deviceUuid, result);
+	});
+};
+
+// One ATT write request carries at most (MTU - 3) bytes of data.
+NobleBindings.prototype._getMaxWriteLength = function(deviceUuid) {
+	return (this.getMtu(deviceUuid) || minimumMtu) - 3;
+};
+
 NobleBindings.prototype._getCachedServiceAsync = function(deviceUuid, serviceUuid) {
 	let deviceRecord = this._deviceMap[deviceUuid];
 	if (!deviceRecord) {
@@ -573,15 +1669,14 @@ NobleBindings.prototype._getCachedServiceAsync = function(deviceUuid, serviceUui
 		throw new Error('Device is not connected. UUID: ' + deviceUuid);
 	}
 
-	return rt.promisify(device.getGattServicesAsync, device)(
+	return this._promisify(deviceUuid, 'discoverServices', device.getGattServicesAsync, device)(
 			BluetoothCacheMode.cached).then(result => {
 		checkCommunicationResult(deviceUuid, result);
-		service = rt.toArray(result.services)
-			.find(s => formatUuid(s.uuid) === serviceUuid);
+		this._cacheServices(deviceUuid, rt.toArray(result.services));
+		service = deviceRecord.serviceMap[serviceUuid];
 		if (!service) {
 			throw new Error('Service ' + serviceUuid + ' not found for device ' + deviceUuid);
 		}
-		deviceRecord.serviceMap[serviceUuid] = service;
 		return service;
 	});
 };
@@ -600,16 +1695,16 @@ NobleBindings.prototype._getCachedCharacteristicAsync =
 	}
 
 	return this._getCachedServiceAsync(deviceUuid, serviceUuid).then(service => {
-		return rt.promisify(service.getCharacteristicsAsync, service)(
+		return this._promisify(deviceUuid, 'discoverCharacteristics',
+				service.getCharacteristicsAsync, service)(
 				BluetoothCacheMode.cached).then(result => {
 			checkCommunicationResult(deviceUuid, result);
-			characteristic = rt.toArray(result.characteristics)
-				.find(c => formatUuid(c.uuid) === characteristicUuid);
+			this._indexCharacteristics(deviceUuid, serviceUuid, rt.toArray(result.characteristics));
+			characteristic = deviceRecord.characteristicMap[characteristicKey];
 			if (!characteristic) {
 				throw new Error('Service ' + serviceUuid + ' characteristic ' +
 					characteristicUuid + ' not found for device ' + deviceUuid);
 			}
-			deviceRecord.characteristicMap[characteristicKey] = characteristic;
 			return characteristic;
 		});
 	});
@@ -629,10 +1724,13 @@ NobleBindings.prototype._getCachedDescriptorAsync =
 	}
 
 	return this._getCachedCharacteristicAsync(
-			deviceUuid, serviceUuid, characteristicUuid).then(service => {
-		return rt.promisify(characteristic.getDescriptorsAsync, characteristic)(
+			deviceUuid, serviceUuid, characteristicUuid).then(characteristic => {
+		return this._promisify(deviceUuid, 'discoverDescriptors',
+				characteristic.getDescriptorsAsync, characteristic)(
 				BluetoothCacheMode.cached).then(result => {
 			checkCommunicationResult(deviceUuid, result);
+			this._indexDescriptors(deviceUuid, serviceUuid, characteristicUuid, characteristic,
+				rt.toArray(result.descriptors));
 			descriptor = rt.toArray(result.descriptors)
 				.find(d => formatUuid(d.uuid) === descriptorUuid);
 			if (!descriptor) {
@@ -646,23 +1744,140 @@ NobleBindings.prototype._getCachedDescriptorAsync =
 	});
 };
 
-function formatBluetoothAddress(address) {
-	if (!address) {
-		return 'null';
+// Keep queried GattDeviceService objects in serviceMap, so that they are closed when the device
+// is released, and close those that duplicate a cached service. Returns the services as cached.
+NobleBindings.prototype._cacheServices = function(deviceUuid, services) {
+	let serviceMap = this._deviceMap[deviceUuid].serviceMap;
+	return services.map(service => {
+		let serviceUuid = formatUuid(service.uuid);
+		if (!serviceMap[serviceUuid]) {
+			serviceMap[serviceUuid] = service;
+			return service;
+		}
+
+		if (service !== serviceMap[serviceUuid]) {
+			service.close();
+		}
+		return serviceMap[serviceUuid];
+	});
+};
+
+// Each query returns new GattCharacteristic objects, but listeners are attached to the ones in
+// characteristicMap, so the cached object of a characteristic is indexed when there is one.
+// Returns the characteristics as cached.
+NobleBindings.prototype._indexCharacteristics =
+		function(deviceUuid, serviceUuid, characteristics) {
+	let deviceRecord = this._deviceMap[deviceUuid];
+	return characteristics.map(characteristic => {
+		let characteristicUuid = formatUuid(characteristic.uuid);
+		let characteristicKey = serviceUuid + '/' + characteristicUuid;
+		if (deviceRecord.characteristicMap[characteristicKey]) {
+			characteristic = deviceRecord.characteristicMap[characteristicKey];
+		} else {
+			deviceRecord.characteristicMap[characteristicKey] = characteristic;
+		}
+
+		deviceRecord.handleMap[getValueHandle(characteristic)] = {
+			serviceUuid: serviceUuid,
+			characteristicUuid: characteristicUuid,
+			characteristic: characteristic,
+		};
+		return characteristic;
+	});
+};
+
+NobleBindings.prototype._indexDescriptors =
+		function(deviceUuid, serviceUuid, characteristicUuid, characteristic, descriptors) {
+	let handleMap = this._deviceMap[deviceUuid].handleMap;
+	descriptors.forEach(descriptor => {
+		handleMap[descriptor.attributeHandle] = {
+			serviceUuid: serviceUuid,
+			characteristicUuid: characteristicUuid,
+			descriptorUuid: formatUuid(descriptor.uuid),
+			characteristic: characteristic,
+			descriptor: descriptor,
+		};
+	});
+};
+
+NobleBindings.prototype._getHandleAsync = function(deviceUuid, handle) {
+	let deviceRecord = this._deviceMap[deviceUuid];
+	if (!deviceRecord) {
+		throw new Error('Invalid or unknown device UUID: ' + deviceUuid);
 	}
 
-	let formattedAddress = address.toString(16);
-	while (formattedAddress.length < 12) {
-		formattedAddress = '0' + formattedAddress;
+	if (deviceRecord.handleMap[handle]) {
+		return Promise.resolve(deviceRecord.handleMap[handle]);
+	}
+
+	return this._indexAllAttributesAsync(deviceUuid).then(() => {
+		let entry = deviceRecord.handleMap[handle];
+		if (!entry) {
+			throw new Error('Handle ' + handle + ' not found for device ' + deviceUuid);
+		}
+		return entry;
+	});
+};
+
+// Discover all characteristics and descriptors of a device (from the cache when possible),
+// adding them to the handle index.
+NobleBindings.prototype._indexAllAttributesAsync = function(deviceUuid) {
+	let device = this._deviceMap[deviceUuid].device;
+	if (!device) {
+		return Promise.reject(new Error('Device is not connected. UUID: ' + deviceUuid));
+	}
+
+	return this._promisify(deviceUuid, 'discoverServices', device.getGattServicesAsync, device)(
+			BluetoothCacheMode.cached).then(result => {
+		checkCommunicationResult(deviceUuid, result);
+		let services = this._cacheServices(deviceUuid, rt.toArray(result.services));
+		return Promise.all(services.map(service => {
+			let serviceUuid = formatUuid(service.uuid);
+			return this._promisify(deviceUuid, 'discoverCharacteristics',
+					service.getCharacteristicsAsync, service)(
+					BluetoothCacheMode.cached).then(result => {
+				checkCommunicationResult(deviceUuid, result);
+				let characteristics = this._indexCharacteristics(
+					deviceUuid, serviceUuid, rt.toArray(result.characteristics));
+
+				return Promise.all(characteristics.map(characteristic => {
+					return this._promisify(deviceUuid, 'discoverDescriptors',
+							characteristic.getDescriptorsAsync, characteristic)(
+							BluetoothCacheMode.cached).then(result => {
+						checkCommunicationResult(deviceUuid, result);
+						this._indexDescriptors(deviceUuid, serviceUuid,
+							formatUuid(characteristic.uuid), characteristic,
+							rt.toArray(result.descriptors));
+					});
+				}));
+			});
+		}));
+	});
+};
+
+// Close the WinRT objects that were obtained by a failed connection attempt.
+function closeConnection(connection) {
+	let closables = connection.services.concat([connection.session, connection.device]);
+	connection.services = [];
+	connection.session = null;
+	connection.device = null;
+
+	closables.filter(o => o).forEach(o => {
+		try {
+			o.close();
+		} catch (ex) {
+			debug('failed to close: %s', ex.stack);
+		}
+	});
+}
+
+// Skip the writes still chained in a discarded reliable write transaction.
+function discardReliableWrite(reliableWrite, message) {
+	if (!reliableWrite.error) {
+		let err = new Error(message);
+		err.code = 'ECANCELED';
+		reliableWrite.error = err;
 	}
-	formattedAddress =
-		formattedAddress.substr(0, 2) + ':' +
-		formattedAddress.substr(2, 2) + ':' +
-		formattedAddress.substr(4, 2) + ':' +
-		formattedAddress.substr(6, 2) + ':' +
-		formattedAddress.substr(8, 2) + ':' +
-		formattedAddress.substr(10, 2);
-	return formattedAddress;
 }
 
 function characteristicPropertiesToStrings(props) {
@@ -692,7 +1907,7 @@ function characteristicPropertiesToStrings(props) {
 		strings.push('indicate');
 	}
 
-	if (props & GattCharacteristicProperties.broadcast) {
+	if (props & GattCharacteristicProperties.authenticatedSignedWrites) {
 		strings.push('authenticatedSignedWrites');
 	}
 
@@ -703,9 +1918,81 @@ function characteristicPropertiesToStrings(props) {
 	return strings;
 }
 
-function getEnumName(enumType, value) {
-	return Object.keys(enumType).find(enumName =>
-		value === enumType[enumName]);
+function getServiceInfo(service) {
+	return {
+		uuid: formatUuid(service.uuid),
+		handle: service.attributeHandle,
+	};
+}
+
+// Noble uses only the uuid and properties; the other fields are extra metadata.
+function getCharacteristicInfo(characteristic) {
+	return {
+		uuid: formatUuid(characteristic.uuid),
+		properties: characteristicPropertiesToStrings(characteristic.characteristicProperties),
+		handle: characteristic.attributeHandle,
+		valueHandle: getValueHandle(characteristic),
+		protectionLevel: rt.getEnumName(GattProtectionLevel, characteristic.protectionLevel),
+		userDescription: characteristic.userDescription || null,
+		presentationFormats: rt.toArray(characteristic.presentationFormats).map(f => ({
+			formatType: f.formatType,
+			exponent: f.exponent,
+			unit: f.unit,
+			namespace: f.namespace,
+			description: f.description,
+		})),
+	};
+}
+
+// Reconstruct the raw advertising payload (a sequence of length-type-data AD structures) from
+// decoded data sections.
+function encodeDataSections(dataSections) {
+	if (!dataSections) {
+		return undefined;
+	}
+
+	return Buffer.concat(dataSections.map(dataSection =>
+		Buffer.concat([Buffer.from([dataSection.data.length + 1, dataSection.type]), dataSection.data])));
+}
+
+// Format manufacturer data the way noble does: prefixed by the little-endian company ID.
+function formatManufacturerData(manufacturerData) {
+	let companyId = Buffer.alloc(2);
+	companyId.writeUInt16LE(manufacturerData.companyId, 0);
+	return Buffer.concat([companyId, manufacturerData.data]);
+}
+
+// Get a string that changes whenever the RSSI or any of the advertised data of interest changes.
+function getDiscoverSignature(advertisement, rssi) {
+	return [
+		rssi,
+		advertisement.localName,
+		advertisement.manufacturerDataList.map(md => md.companyId + '=' + md.data.toString('hex')).join(),
+		advertisement.serviceData.map(sd => sd.uuid + '=' + sd.data.toString('hex')).join(),
+	].join('|');
+}
+
+// Choose the client characteristic configuration value that enables notifications.
+function getNotifyDescriptorValue(characteristic, notify) {
+	if (notify === 'indicate') {
+		return GattClientCharacteristicConfigurationDescriptorValue.indicate;
+	} else if (notify === 'notify') {
+		return GattClientCharacteristicConfigurationDescriptorValue.notify;
+	}
+
+	// Prefer notify when both are supported, since indications require a confirmation each.
+	let props = characteristic.characteristicProperties;
+	if (!(props & GattCharacteristicProperties.notify) &&
+			(props & GattCharacteristicProperties.indicate)) {
+		return GattClientCharacteristicConfigurationDescriptorValue.indicate;
+	}
+	return GattClientCharacteristicConfigurationDescriptorValue.notify;
+}
+
+// The attribute handle of a characteristic is that of its declaration; the value attribute
+// immediately follows the declaration.
+function getValueHandle(characteristic) {
+	return characteristic.attributeHandle + 1;
 }
 
 function formatUuid(uuid) {
@@ -718,6 +2005,47 @@ function formatUuid(uuid) {
 	}
 }
 
+// Convert a little-endian 16-, 32- or 128-bit UUID from advertisement data to the same format
+// as formatUuid().
+function uuidFromBytes(bytes) {
+	let hex = Buffer.from(bytes).reverse().toString('hex');
+	if (hex.length === 8) {
+		hex += '00001000800000805f9b34fb';
+	}
+	return formatUuid('{' + rt.toGuid(hex) + '}');
+}
+
+// Parse the service data sections among decoded { type, data } data sections into noble
+// { uuid, data } objects.
+function getServiceData(dataSections) {
+	return dataSections.filter(ds =>
+		ds.type === BluetoothLEAdvertisementDataTypes.serviceData16BitUuids ||
+		ds.type === BluetoothLEAdvertisementDataTypes.serviceData32BitUuids ||
+		ds.type === BluetoothLEAdvertisementDataTypes.serviceData128BitUuids)
+		.map(ds => parseServiceData(ds.type, ds.data))
+		.filter(sd => sd);
+}
+
+// Parse a service data section into a noble { uuid, data } object.
+function parseServiceData(dataType, bytes) {
+	let uuidLength;
+	switch (dataType) {
+		case BluetoothLEAdvertisementDataTypes.serviceData16BitUuids: uuidLength = 2; break;
+		case BluetoothLEAdvertisementDataTypes.serviceData32BitUuids: uuidLength = 4; break;
+		case BluetoothLEAdvertisementDataTypes.serviceData128BitUuids: uuidLength = 16; break;
+	}
+
+	if (bytes.length < uuidLength) {
+		debug('    invalid service data section: %s', bytes.toString('hex'));
+		return null;
+	}
+
+	return {
+		uuid: uuidFromBytes(bytes.slice(0, uuidLength)),
+		data: bytes.slice(uuidLength),
+	};
+}
+
 function filterUuids(filter) {
 	return (uuid) => {
 		return !filter || filter.indexOf(uuid) != -1;
@@ -725,11 +2053,62 @@ function filterUuids(filter) {
 }
 
 function checkCommunicationResult(deviceUuid, result) {
+	if (result.status === GattCommunicationStatus.success) {
+		return;
+	}
+
+	let status = rt.getEnumName(GattCommunicationStatus, result.status) || result.status;
+	let protocolError = (typeof result.protocolError === 'number' ? result.protocolError : null);
+	let protocolErrorName = (protocolError !== null ?
+		rt.getEnumName(GattProtocolError, protocolError) || null : null);
+
+	let message;
 	if (result.status === GattCommunicationStatus.unreachable) {
-		throw new Error('Device unreachable: ' + deviceUuid);
+		message = 'Device unreachable: ' + deviceUuid;
 	} else if (result.status === GattCommunicationStatus.protocolError) {
-		throw new Error('Protocol error communicating with device: ' + deviceUuid);
+		message = 'Protocol error communicating with device: ' + deviceUuid +
+			' (' + (protocolErrorName || protocolError) + ')';
+	} else if (result.status === GattCommunicationStatus.accessDenied) {
+		message = 'Access denied communicating with device: ' + deviceUuid;
+	} else {
+		message = 'Communication with device ' + deviceUuid + ' failed with status: ' + status;
 	}
+
+	throw new GattError(message, {
+		deviceUuid: deviceUuid,
+		status: status,
+		protocolError: protocolError,
+		protocolErrorName: protocolErrorName,
+	});
+}
+
+// Convert an error from any step of a GATT operation to a GattError,
+// and fill in the context of the operation.
+function toGattError(ex, operation, deviceUuid, serviceUuid, characteristicUuid, descriptorUuid) {
+	let gattError = ex;
+	if (!(ex instanceof GattError)) {
+		gattError = new GattError(ex.message, { cause: ex, code: ex.code || null });
+		gattError.stack = ex.stack;
+	}
+
+	gattError.operation = operation;
+	gattError.deviceUuid = deviceUuid;
+	gattError.serviceUuid = serviceUuid;
+	gattError.characteristicUuid = characteristicUuid;
+	gattError.descriptorUuid = descriptorUuid;
+	return gattError;
+}
+
+// Pairing is not a GATT operation, so its failures are plain errors. Their status is 'failed',
+// the name of that value in both DevicePairingResultStatus and DeviceUnpairingResultStatus.
+function toPairingError(ex, operation, deviceUuid) {
+	let pairingError = new Error(ex.message);
+	pairingError.stack = ex.stack;
+	pairingError.operation = operation;
+	pairingError.deviceUuid = deviceUuid;
+	pairingError.status = 'failed';
+	pairingError.cause = ex;
+	return pairingError;
 }
 
 module.exports = new NobleBindings();
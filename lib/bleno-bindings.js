@@ -0,0 +1,553 @@
+'use strict';
+
+// Bleno bindings for Windows UWP BLE APIs (GATT server / peripheral role)
+
+const events = require('events');
+const util = require('util');
+const debug = require('debug')('noble-uwp');
+const rt = require('./rt-utils');
+
+// Note the load order here is important for cross-namespace dependencies.
+rt.using('Windows.Foundation');
+rt.using('Windows.Storage.Streams');
+rt.using('Windows.Devices.Enumeration');
+rt.using('Windows.Devices.Bluetooth.GenericAttributeProfile');
+rt.using('Windows.Devices.Bluetooth');
+rt.using('Windows.Devices.Radios');
+
+const BluetoothAdapter = Windows.Devices.Bluetooth.BluetoothAdapter;
+const BluetoothError = Windows.Devices.Bluetooth.BluetoothError;
+
+const GattServiceProvider = Windows.Devices.Bluetooth.GenericAttributeProfile.GattServiceProvider;
+const GattServiceProviderAdvertisingParameters =
+	Windows.Devices.Bluetooth.GenericAttributeProfile.GattServiceProviderAdvertisingParameters;
+const GattServiceProviderAdvertisementStatus =
+	Windows.Devices.Bluetooth.GenericAttributeProfile.GattServiceProviderAdvertisementStatus;
+const GattLocalCharacteristicParameters =
+	Windows.Devices.Bluetooth.GenericAttributeProfile.GattLocalCharacteristicParameters;
+const GattLocalDescriptorParameters =
+	Windows.Devices.Bluetooth.GenericAttributeProfile.GattLocalDescriptorParameters;
+const GattPresentationFormat = Windows.Devices.Bluetooth.GenericAttributeProfile.GattPresentationFormat;
+const GattCharacteristicProperties = Windows.Devices.Bluetooth.GenericAttributeProfile.GattCharacteristicProperties;
+const GattCommunicationStatus = Windows.Devices.Bluetooth.GenericAttributeProfile.GattCommunicationStatus;
+const GattProtectionLevel = Windows.Devices.Bluetooth.GenericAttributeProfile.GattProtectionLevel;
+const GattSessionStatus = Windows.Devices.Bluetooth.GenericAttributeProfile.GattSessionStatus;
+const GattWriteOption = Windows.Devices.Bluetooth.GenericAttributeProfile.GattWriteOption;
+
+const Radio = Windows.Devices.Radios.Radio;
+const RadioKind = Windows.Devices.Radios.RadioKind;
+const RadioState = Windows.Devices.Radios.RadioState;
+
+// Result code that bleno characteristics pass to request callbacks on success;
+// other results are ATT protocol error codes.
+const resultSuccess = 0x00;
+
+// Windows does not report the RSSI of a connected client.
+const unknownRssi = 127;
+
+let BlenoBindings = function() {
+	this._radio = null;
+	this._radioState = 'unknown';
+	this._adapter = null;
+	this._serviceProviders = [];
+	this._advertising = false;
+	this._advertisingServiceUuids = [];
+	this._advertisingStartPending = false;
+	this._clientMap = {};
+};
+
+util.inherits(BlenoBindings, events.EventEmitter);
+
+BlenoBindings.prototype.init = function() {
+	debug('initialized peripheral bindings');
+	this.emit('platform', 'win32');
+
+	rt.promisify(BluetoothAdapter.getDefaultAsync)().then(adapter => {
+		this._adapter = adapter;
+		if (adapter) {
+			debug('bluetooth adapter supports peripheral role: %s', adapter.isPeripheralRoleSupported);
+			this.emit('addressChange', rt.formatBluetoothAddress(adapter.bluetoothAddress));
+		}
+		return rt.promisify(Radio.getRadiosAsync)();
+	}).then(radiosList => {
+		this._radio = rt.toArray(radiosList).find(radio => radio.kind === RadioKind.bluetooth);
+		this._updateRadioState();
+	}).catch(ex => {
+		debug('failed to get bluetooth adapter: %s', ex.stack);
+		this._updateRadioState();
+	});
+};
+
+// The name is ignored: a GATT service provider advertises only its service UUID, and Windows
+// determines the rest of the advertisement. Only the providers of the given services (or all,
+// if none are given) are advertised, including those of services set later.
+BlenoBindings.prototype.startAdvertising = function(name, serviceUuids) {
+	debug('startAdvertising(%s, %s)', name, (serviceUuids ? serviceUuids.join() : '(all)'));
+
+	this._advertising = true;
+	this._advertisingServiceUuids = (serviceUuids || []).map(uuid => uuid.toLowerCase());
+	this._advertisingStartPending = true;
+
+	let serviceProviders = this._serviceProviders.filter(sp => this._isAdvertised(sp));
+	serviceProviders.forEach(sp => this._startServiceProviderAdvertising(sp));
+	this._checkAdvertisingStarted();
+};
+
+BlenoBindings.prototype.startAdvertisingIBeacon = function(data) {
+	debug('startAdvertisingIBeacon(%s)', data.toString('hex'));
+	this.emit('advertisingStart', new Error('Not supported'));
+};
+
+BlenoBindings.prototype.startAdvertisingWithEIRData = function(advertisementData, scanData) {
+	debug('startAdvertisingWithEIRData()');
+	this.emit('advertisingStart', new Error('Not supported'));
+};
+
+BlenoBindings.prototype.stopAdvertising = function() {
+	debug('stopAdvertising()');
+
+	this._advertising = false;
+	this._advertisingStartPending = false;
+	this._serviceProviders.forEach(sp => this._stopServiceProviderAdvertising(sp));
+	this.emit('advertisingStop');
+};
+
+// Replace the published services with the given bleno PrimaryService objects.
+BlenoBindings.prototype.setServices = function(services) {
+	services = services || [];
+	debug('setServices(%s)', services.map(s => s.uuid).join());
+
+	this._clearServices();
+
+	services.reduce((previous, service) => previous.then(() => {
+		return this._createServiceProviderAsync(service);
+	}), Promise.resolve()).then(() => {
+		if (this._advertising) {
+			this._serviceProviders.filter(sp => this._isAdvertised(sp))
+				.forEach(sp => this._startServiceProviderAdvertising(sp));
+		}
+		this.emit('servicesSet');
+	}).catch(ex => {
+		debug('failed to set services: %s', ex.stack);
+		this.emit('servicesSet', ex);
+	});
+};
+
+// Windows does not allow a GATT server to drop a client connection. This releases the sessions
+// of the connected clients, which lets Windows disconnect them if nothing else uses them.
+BlenoBindings.prototype.disconnect = function() {
+	debug('disconnect()');
+
+	Object.keys(this._clientMap).forEach(address => {
+		let session = this._clientMap[address].session;
+		this._releaseClient(address);
+		try {
+			session.close();
+		} catch (ex) {
+			debug('failed to close GATT session for client %s: %s', address, ex.stack);
+		}
+		this.emit('disconnect', address);
+	});
+};
+
+BlenoBindings.prototype.updateRssi = function() {
+	this.emit('rssiUpdate', unknownRssi);
+};
+
+BlenoBindings.prototype._updateRadioState = function() {
+	let state;
+
+	if (!this._radio || !this._adapter || !this._adapter.isPeripheralRoleSupported) {
+		state = 'unsupported';
+	} else switch (this._radio.state) {
+		case RadioState.on:
+			state = 'poweredOn';
+			break;
+		case RadioState.off:
+		case RadioState.disabled:
+			state = 'poweredOff';
+			break;
+		default:
+			state = 'unknown';
+			break;
+	}
+
+	if (state != this._radioState) {
+		debug('bluetooth peripheral state: %s', state);
+		this._radioState = state;
+		this.emit('stateChange', state);
+	}
+};
+
+BlenoBindings.prototype._createServiceProviderAsync = function(service) {
+	let serviceUuid = service.uuid.toLowerCase();
+	return rt.promisify(GattServiceProvider.createAsync)(rt.toGuid(serviceUuid)).then(result => {
+		checkBluetoothError(result.error, 'create service ' + serviceUuid);
+
+		let serviceProvider = {
+			uuid: serviceUuid,
+			provider: result.serviceProvider,
+			statusListener: null,
+			characteristics: [],
+		};
+		serviceProvider.statusListener = this._onAdvertisementStatusChanged.bind(this, serviceProvider);
+		serviceProvider.provider.on('advertisementStatusChanged', serviceProvider.statusListener);
+		this._serviceProviders.push(serviceProvider);
+		rt.keepAlive(true);
+
+		return service.characteristics.reduce((previous, characteristic) => previous.then(() => {
+			return this._createCharacteristicAsync(serviceProvider, characteristic);
+		}), Promise.resolve());
+	});
+};
+
+BlenoBindings.prototype._createCharacteristicAsync = function(serviceProvider, characteristic) {
+	let characteristicUuid = characteristic.uuid.toLowerCase();
+	let parameters = new GattLocalCharacteristicParameters();
+	parameters.characteristicProperties = stringsToCharacteristicProperties(characteristic.properties);
+
+	let secure = characteristic.secure || [];
+	if (secure.indexOf('read') >= 0) {
+		parameters.readProtectionLevel = GattProtectionLevel.encryptionRequired;
+	}
+	if (secure.indexOf('write') >= 0 || secure.indexOf('writeWithoutResponse') >= 0) {
+		parameters.writeProtectionLevel = GattProtectionLevel.encryptionRequired;
+	}
+
+	// A characteristic with a value is read-only, and Windows responds to reads of it.
+	if (characteristic.value) {
+		parameters.staticValue = rt.fromBuffer(toBuffer(characteristic.value));
+	}
+
+	// Windows creates the user description and presentation format descriptors from the
+	// parameters, and the configuration descriptors itself; other descriptors are added below.
+	let descriptors = characteristic.descriptors.filter(descriptor => {
+		let descriptorUuid = descriptor.uuid.toLowerCase();
+		if (descriptorUuid === '2901') {
+			parameters.userDescription = toBuffer(descriptor.value).toString();
+		} else if (descriptorUuid === '2904') {
+			let value = toBuffer(descriptor.value);
+			parameters.presentationFormats.append(GattPresentationFormat.fromParts(
+				value.readUInt8(0), value.readInt8(1), value.readUInt16LE(2),
+				value.readUInt8(4), value.readUInt16LE(5)));
+		} else if (descriptorUuid === '2902' || descriptorUuid === '2903') {
+			debug('ignoring descriptor %s of characteristic %s', descriptorUuid, characteristicUuid);
+		} else {
+			return true;
+		}
+		return false;
+	});
+
+	let service = serviceProvider.provider.service;
+	return rt.promisify(service.createCharacteristicAsync, service)(
+			rt.toGuid(characteristicUuid), parameters).then(result => {
+		checkBluetoothError(result.error, 'create characteristic ' + characteristicUuid);
+
+		let localCharacteristic = result.characteristic;
+		let characteristicRecord = {
+			uuid: characteristicUuid,
+			characteristic: characteristic,
+			localCharacteristic: localCharacteristic,
+			listeners: {
+				readRequested: this._onReadRequested.bind(this, characteristic),
+				writeRequested: this._onWriteRequested.bind(this, characteristic),
+				subscribedClientsChanged: null,
+			},
+			subscribed: false,
+		};
+		characteristicRecord.listeners.subscribedClientsChanged =
+			this._onSubscribedClientsChanged.bind(this, characteristicRecord);
+
+		Object.keys(characteristicRecord.listeners).forEach(eventName => {
+			localCharacteristic.on(eventName, characteristicRecord.listeners[eventName]);
+		});
+		serviceProvider.characteristics.push(characteristicRecord);
+
+		return descriptors.reduce((previous, descriptor) => previous.then(() => {
+			return this._createDescriptorAsync(localCharacteristic, descriptor);
+		}), Promise.resolve());
+	});
+};
+
+// Bleno descriptors have static values only, so Windows responds to all requests for them.
+BlenoBindings.prototype._createDescriptorAsync = function(localCharacteristic, descriptor) {
+	let descriptorUuid = descriptor.uuid.toLowerCase();
+	let parameters = new GattLocalDescriptorParameters();
+	parameters.staticValue = rt.fromBuffer(toBuffer(descriptor.value));
+
+	return rt.promisify(localCharacteristic.createDescriptorAsync, localCharacteristic)(
+			rt.toGuid(descriptorUuid), parameters).then(result => {
+		checkBluetoothError(result.error, 'create descriptor ' + descriptorUuid);
+	});
+};
+
+BlenoBindings.prototype._clearServices = function() {
+	this._serviceProviders.forEach(serviceProvider => {
+		this._stopServiceProviderAdvertising(serviceProvider);
+		serviceProvider.provider.removeListener(
+			'advertisementStatusChanged', serviceProvider.statusListener);
+
+		serviceProvider.characteristics.forEach(characteristicRecord => {
+			Object.keys(characteristicRecord.listeners).forEach(eventName => {
+				characteristicRecord.localCharacteristic.removeListener(
+					eventName, characteristicRecord.listeners[eventName]);
+			});
+			if (characteristicRecord.subscribed) {
+				characteristicRecord.subscribed = false;
+				characteristicRecord.characteristic.emit('unsubscribe');
+			}
+		});
+		rt.keepAlive(false);
+	});
+	this._serviceProviders = [];
+};
+
+BlenoBindings.prototype._isAdvertised = function(serviceProvider) {
+	return this._advertisingServiceUuids.length === 0 ||
+		this._advertisingServiceUuids.indexOf(serviceProvider.uuid) >= 0;
+};
+
+BlenoBindings.prototype._startServiceProviderAdvertising = function(serviceProvider) {
+	let parameters = new GattServiceProviderAdvertisingParameters();
+	parameters.isConnectable = true;
+	parameters.isDiscoverable = true;
+	serviceProvider.provider.startAdvertising(parameters);
+};
+
+BlenoBindings.prototype._stopServiceProviderAdvertising = function(serviceProvider) {
+	let status = serviceProvider.provider.advertisementStatus;
+	if (status === GattServiceProviderAdvertisementStatus.started) {
+		serviceProvider.provider.stopAdvertising();
+	}
+};
+
+BlenoBindings.prototype._onAdvertisementStatusChanged = function(serviceProvider, sender, e) {
+	debug('service %s advertisement status: %s (%s)', serviceProvider.uuid,
+		rt.getEnumName(GattServiceProviderAdvertisementStatus, e.status),
+		rt.getEnumName(BluetoothError, e.error));
+
+	if (e.status === GattServiceProviderAdvertisementStatus.aborted &&
+			this._advertisingStartPending) {
+		this._advertisingStartPending = false;
+		this.emit('advertisingStart', new Error('Advertising of service ' + serviceProvider.uuid +
+			' aborted: ' + rt.getEnumName(BluetoothError, e.error)));
+	} else {
+		this._checkAdvertisingStarted();
+	}
+};
+
+// Advertising has started when the providers of all advertised services have started. Until
+// services are set, there is nothing to advertise, so advertising has not started yet.
+BlenoBindings.prototype._checkAdvertisingStarted = function() {
+	if (!this._advertisingStartPending) {
+		return;
+	}
+
+	let serviceProviders = this._serviceProviders.filter(sp => this._isAdvertised(sp));
+	let allStarted = serviceProviders.length > 0 && serviceProviders.every(sp =>
+		sp.provider.advertisementStatus === GattServiceProviderAdvertisementStatus.started);
+	if (allStarted) {
+		this._advertisingStartPending = false;
+		this.emit('advertisingStart');
+	}
+};
+
+BlenoBindings.prototype._onReadRequested = function(characteristic, sender, e) {
+	this._acceptClient(e.session);
+
+	// The deferral lets the request complete after the bleno callback is called.
+	let deferral = e.getDeferral();
+	rt.promisify(e.getRequestAsync, e)().then(request => {
+		if (!request) {
+			// The client has no access to the characteristic.
+			deferral.complete();
+			return;
+		}
+
+		debug('read request: %s offset %d', characteristic.uuid, request.offset);
+		characteristic.emit('readRequest', request.offset, (result, data) => {
+			try {
+				if (result === resultSuccess) {
+					request.respondWithValue(rt.fromBuffer(toBuffer(data)));
+				} else {
+					request.respondWithProtocolError(result);
+				}
+			} catch (ex) {
+				debug('failed to respond to read request: %s', ex.stack);
+			}
+			deferral.complete();
+		});
+	}).catch(ex => {
+		debug('failed to get read request: %s', ex.stack);
+		deferral.complete();
+	});
+};
+
+BlenoBindings.prototype._onWriteRequested = function(characteristic, sender, e) {
+	this._acceptClient(e.session);
+
+	let deferral = e.getDeferral();
+	rt.promisify(e.getRequestAsync, e)().then(request => {
+		if (!request) {
+			deferral.complete();
+			return;
+		}
+
+		let data = rt.toBuffer(request.value);
+		let withoutResponse = (request.option === GattWriteOption.writeWithoutResponse);
+		debug('write request: %s offset %d [%d] %s', characteristic.uuid, request.offset,
+			data.length, withoutResponse);
+		characteristic.emit('writeRequest', data, request.offset, withoutResponse, result => {
+			try {
+				// A write without response gets no response.
+				if (!withoutResponse) {
+					if (result === resultSuccess) {
+						request.respond();
+					} else {
+						request.respondWithProtocolError(result);
+					}
+				}
+			} catch (ex) {
+				debug('failed to respond to write request: %s', ex.stack);
+			}
+			deferral.complete();
+		});
+	}).catch(ex => {
+		debug('failed to get write request: %s', ex.stack);
+		deferral.complete();
+	});
+};
+
+// Bleno expects a single subscription per characteristic, so the characteristic is subscribed
+// while any client is, and notifications and indications are sent to all subscribed clients.
+BlenoBindings.prototype._onSubscribedClientsChanged = function(characteristicRecord, sender, e) {
+	let clients = rt.toArray(characteristicRecord.localCharacteristic.subscribedClients);
+	debug('characteristic %s subscribed clients: %d', characteristicRecord.uuid, clients.length);
+	clients.forEach(client => this._acceptClient(client.session));
+
+	let characteristic = characteristicRecord.characteristic;
+	if (clients.length > 0 && !characteristicRecord.subscribed) {
+		characteristicRecord.subscribed = true;
+		let maxValueSize = Math.min.apply(null, clients.map(client => client.maxNotificationSize));
+		characteristic.emit('subscribe', maxValueSize, data => {
+			this._notifyValue(characteristicRecord, data);
+		});
+	} else if (clients.length === 0 && characteristicRecord.subscribed) {
+		characteristicRecord.subscribed = false;
+		characteristic.emit('unsubscribe');
+	}
+};
+
+BlenoBindings.prototype._notifyValue = function(characteristicRecord, data) {
+	if (!characteristicRecord.subscribed) {
+		return;
+	}
+
+	let localCharacteristic = characteristicRecord.localCharacteristic;
+	rt.promisify(localCharacteristic.notifyValueAsync, localCharacteristic)(
+			rt.fromBuffer(data)).then(results => {
+		rt.toArray(results).forEach(result => {
+			if (result.status !== GattCommunicationStatus.success) {
+				debug('failed to notify characteristic %s: %s', characteristicRecord.uuid,
+					rt.getEnumName(GattCommunicationStatus, result.status));
+			}
+		});
+
+		// Windows sends a notification or an indication depending on the client's subscription,
+		// and completes only after indications are confirmed.
+		let characteristic = characteristicRecord.characteristic;
+		if (characteristic.properties.indexOf('notify') >= 0) {
+			characteristic.emit('notify');
+		}
+		if (characteristic.properties.indexOf('indicate') >= 0) {
+			characteristic.emit('indicate');
+		}
+	}).catch(ex => {
+		debug('failed to notify characteristic %s: %s', characteristicRecord.uuid, ex.stack);
+	});
+};
+
+// Windows reports no connection events to a GATT server, so a client is considered connected
+// from its first request or subscription, until its session is closed.
+BlenoBindings.prototype._acceptClient = function(session) {
+	let address = getSessionAddress(session);
+	if (this._clientMap[address]) {
+		return;
+	}
+
+	let client = {
+		session: session,
+		statusListener: (source, e) => {
+			if (e.status === GattSessionStatus.closed) {
+				this._releaseClient(address);
+				debug('client disconnected: %s', address);
+				this.emit('disconnect', address);
+			}
+		},
+		maxPduSizeListener: () => {
+			this.emit('mtuChange', session.maxPduSize);
+		},
+	};
+	session.on('sessionStatusChanged', client.statusListener);
+	session.on('maxPduSizeChanged', client.maxPduSizeListener);
+	this._clientMap[address] = client;
+
+	debug('client connected: %s', address);
+	this.emit('accept', address);
+	this.emit('mtuChange', session.maxPduSize);
+};
+
+BlenoBindings.prototype._releaseClient = function(address) {
+	let client = this._clientMap[address];
+	client.session.removeListener('sessionStatusChanged', client.statusListener);
+	client.session.removeListener('maxPduSizeChanged', client.maxPduSizeListener);
+	delete this._clientMap[address];
+};
+
+function stringsToCharacteristicProperties(strings) {
+	let props = GattCharacteristicProperties.none;
+
+	if (strings.indexOf('broadcast') >= 0) {
+		props |= GattCharacteristicProperties.broadcast;
+	}
+
+	if (strings.indexOf('read') >= 0) {
+		props |= GattCharacteristicProperties.read;
+	}
+
+	if (strings.indexOf('writeWithoutResponse') >= 0) {
+		props |= GattCharacteristicProperties.writeWithoutResponse;
+	}
+
+	if (strings.indexOf('write') >= 0) {
+		props |= GattCharacteristicProperties.write;
+	}
+
+	if (strings.indexOf('notify') >= 0) {
+		props |= GattCharacteristicProperties.notify;
+	}
+
+	if (strings.indexOf('indicate') >= 0) {
+		props |= GattCharacteristicProperties.indicate;
+	}
+
+	return props;
+}
+
+function checkBluetoothError(error, action) {
+	if (error !== BluetoothError.success) {
+		throw new Error('Failed to ' + action + ': ' + rt.getEnumName(BluetoothError, error));
+	}
+}
+
+// Session device IDs end with the Bluetooth address of the remote device.
+function getSessionAddress(session) {
+	let deviceId = session.deviceId.id;
+	return deviceId.substr(deviceId.length - 17).toLowerCase();
+}
+
+function toBuffer(value) {
+	return (typeof value === 'string' ? Buffer.from(value) : (value || Buffer.alloc(0)));
+}
+
+module.exports = new BlenoBindings();
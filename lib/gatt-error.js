@@ -0,0 +1,44 @@
+'use strict';
+
+// Error reported by the UWP bindings when a GATT operation fails.
+
+const util = require('util');
+
+// Properties:
+//   deviceUuid, operation, serviceUuid, characteristicUuid, descriptorUuid - Context of the
+//     failed operation; the UUIDs that do not apply to the operation are undefined.
+//   status - Name of the GattCommunicationStatus ('unreachable', 'protocolError',
+//     'accessDenied'), or null if the operation failed before communicating with the device.
+//   protocolError, protocolErrorName - ATT protocol error code and its GattProtocolError name,
+//     if the device responded with a protocol error.
+//   code - 'ETIMEDOUT' if the operation timed out, 'ECANCELED' if it was cancelled because the
+//     device disconnected, otherwise null.
+//   cause - The original error, if this error wraps another one.
+function GattError(message, properties) {
+	Error.call(this);
+	Error.captureStackTrace(this, GattError);
+	this.message = message;
+
+	this.deviceUuid = undefined;
+	this.operation = undefined;
+	this.serviceUuid = undefined;
+	this.characteristicUuid = undefined;
+	this.descriptorUuid = undefined;
+	this.status = null;
+	this.protocolError = null;
+	this.protocolErrorName = null;
+	this.code = null;
+	this.cause = undefined;
+
+	if (properties) {
+		Object.keys(properties).forEach(key => {
+			this[key] = properties[key];
+		});
+	}
+}
+
+util.inherits(GattError, Error);
+
+GattError.prototype.name = 'GattError';
+
+module.exports = GattError;
@@ -37,17 +37,85 @@ function using(ns) {
 }
 
 // Convert a NodeRT async method from callback to promise.
-function promisify(fn, o) {
+// If a timeout in milliseconds is given, the promise is rejected with an ETIMEDOUT error when
+// the operation does not complete in time. The returned promise has a cancel(err) method that
+// rejects it (with an ECANCELED error by default) without waiting for the operation.
+// In either case the underlying IAsyncOperation is cancelled if the projection exposes it.
+function promisify(fn, o, timeout) {
 	return (...args) => {
-		return new Promise((resolve, reject) => {
-			(o ? fn.bind(o) : fn)(...args, (err, result) => {
+		let operation;
+		let settle;
+		let promise = new Promise((resolve, reject) => {
+			let timeoutId = 0;
+			settle = (err, result) => {
+				if (!settle) return;
+				settle = null;
+				clearTimeout(timeoutId);
 				if (err) reject(err);
 				else resolve(result);
-			});
+			};
+
+			if (timeout) {
+				timeoutId = setTimeout(() => {
+					cancelOperation(operation);
+					settle(createError(
+						'Operation timed out after ' + timeout + ' ms', 'ETIMEDOUT'));
+				}, timeout);
+			}
+
+			// A call that throws, such as one with no matching overload, also clears the timer.
+			try {
+				operation = (o ? fn.bind(o) : fn)(...args, (err, result) => {
+					if (settle) settle(err, result);
+				});
+			} catch (ex) {
+				settle(ex);
+			}
 		});
+
+		promise.cancel = err => {
+			if (!settle) return;
+			cancelOperation(operation);
+			settle(err || createError('Operation cancelled', 'ECANCELED'));
+		};
+		return promise;
 	};
 }
 
+// NodeRT currently completes async methods through the callback without returning the
+// IAsyncOperation, so this is a no-op unless a future projection returns it.
+function cancelOperation(operation) {
+	if (operation && typeof operation.cancel === 'function') {
+		try {
+			operation.cancel();
+		} catch (ex) {
+			debug('failed to cancel async operation: ' + ex.message);
+		}
+	}
+}
+
+function createError(message, code) {
+	let err = new Error(message);
+	err.code = code;
+	return err;
+}
+
+// Reject with an ETIMEDOUT error if a promise does not settle within the given number of
+// milliseconds.
+function withTimeout(promise, ms, message) {
+	let timeoutId;
+	let timeout = new Promise((resolve, reject) => {
+		timeoutId = setTimeout(() => reject(createError(message, 'ETIMEDOUT')), ms);
+	});
+	return Promise.race([promise, timeout]).then(result => {
+		clearTimeout(timeoutId);
+		return result;
+	}, err => {
+		clearTimeout(timeoutId);
+		throw err;
+	});
+}
+
 // Convert a WinRT IVectorView to a JS Array.
 function toArray(o) {
   let a = new Array(o.length);
@@ -91,6 +159,41 @@ function fromBuffer(b) {
 	return w.detachBuffer();
 }
 
+// Format a 48-bit Bluetooth address as colon-separated hex bytes.
+function formatBluetoothAddress(address) {
+	if (!address) {
+		return 'null';
+	}
+
+	let formattedAddress = address.toString(16);
+	while (formattedAddress.length < 12) {
+		formattedAddress = '0' + formattedAddress;
+	}
+	formattedAddress =
+		formattedAddress.substr(0, 2) + ':' +
+		formattedAddress.substr(2, 2) + ':' +
+		formattedAddress.substr(4, 2) + ':' +
+		formattedAddress.substr(6, 2) + ':' +
+		formattedAddress.substr(8, 2) + ':' +
+		formattedAddress.substr(10, 2);
+	return formattedAddress;
+}
+
+// Get the name of a value of a WinRT enum type.
+function getEnumName(enumType, value) {
+	return Object.keys(enumType).find(enumName =>
+		value === enumType[enumName]);
+}
+
+// Convert a noble-style UUID (16-bit, or 128-bit without dashes) to a GUID string for NodeRT.
+function toGuid(uuid) {
+	if (uuid.length === 4) {
+		uuid = '0000' + uuid + '00001000800000805f9b34fb';
+	}
+	return uuid.substr(0, 8) + '-' + uuid.substr(8, 4) + '-' + uuid.substr(12, 4) + '-' +
+		uuid.substr(16, 4) + '-' + uuid.substr(20, 12);
+}
+
 let keepAliveIntervalId = 0;
 let keepAliveIntervalCount = 0;
 
@@ -113,9 +216,13 @@ function keepAlive(k) {
 module.exports = {
 	using,
 	promisify,
+	withTimeout,
 	toArray,
 	toMap,
 	toBuffer,
 	fromBuffer,
+	formatBluetoothAddress,
+	getEnumName,
+	toGuid,
 	keepAlive,
 };
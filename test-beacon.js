@@ -0,0 +1,129 @@
+'use strict';
+
+// Checks encoding and decoding of beacon advertisements. Run with: node test-beacon.js
+
+const assert = require('assert');
+const beacon = require('./lib/beacon');
+
+// Convert the output of encode() to the noble advertisement that decode() takes.
+function toAdvertisement(encoded) {
+	return {
+		manufacturerDataList: encoded.manufacturerData || [],
+		serviceData: encoded.serviceData || [],
+	};
+}
+
+function roundTrip(b, rssi) {
+	let decoded = beacon.decode(toAdvertisement(beacon.encode(b)), rssi);
+	assert.ok(decoded, 'decoded ' + b.type);
+	delete decoded.distance;
+	assert.deepStrictEqual(decoded, b);
+}
+
+function eddystoneFrame(hex) {
+	return { serviceData: [{ uuid: 'feaa', data: Buffer.from(hex, 'hex') }] };
+}
+
+roundTrip({
+	type: 'iBeacon',
+	uuid: 'e2c56db5dffb48d2b060d0f5a71096e0',
+	major: 1,
+	minor: 65535,
+	measuredPower: -59,
+});
+
+roundTrip({
+	type: 'eddystoneUid',
+	txPower: -20,
+	namespace: '00112233445566778899',
+	instance: 'aabbccddeeff',
+});
+
+roundTrip({ type: 'eddystoneUrl', txPower: -18, url: 'https://www.example.com/' });
+roundTrip({ type: 'eddystoneUrl', txPower: 4, url: 'http://goo.gl/abc' });
+roundTrip({ type: 'eddystoneUrl', txPower: 0, url: 'https://a.org/b.info' });
+
+roundTrip({
+	type: 'eddystoneTlm',
+	version: 0,
+	batteryVoltage: 3000,
+	temperature: -12.5,
+	advertisementCount: 123456,
+	uptime: 7890,
+});
+
+roundTrip({
+	type: 'eddystoneTlm',
+	version: 0,
+	batteryVoltage: null,
+	temperature: null,
+	advertisementCount: 0,
+	uptime: 0,
+});
+
+roundTrip({ type: 'eddystoneEid', txPower: -10, eid: '0102030405060708' });
+
+// The URL scheme and expansion codes are single bytes.
+assert.strictEqual(
+	beacon.encode({ type: 'eddystoneUrl', txPower: 0, url: 'https://www.example.com/' })
+		.serviceData[0].data.toString('hex'),
+	'1000' + '01' + Buffer.from('example').toString('hex') + '00');
+
+// Encrypted TLM frames are decoded, though they cannot be encoded.
+assert.deepStrictEqual(beacon.decode(eddystoneFrame(
+	'2001' + '0102030405060708090a0b0c' + '1234' + '5678')), {
+	type: 'eddystoneTlm',
+	version: 1,
+	etlm: '0102030405060708090a0b0c',
+	salt: 0x1234,
+	mic: 0x5678,
+	distance: null,
+});
+
+// The distance is estimated from the reference RSSI at 1 m.
+assert.strictEqual(beacon.decode(toAdvertisement(beacon.encode({
+	type: 'iBeacon',
+	uuid: 'e2c56db5dffb48d2b060d0f5a71096e0',
+	major: 0,
+	minor: 0,
+	measuredPower: -59,
+})), -79).distance, 10);
+assert.strictEqual(beacon.estimateDistance(-59, 127), null);
+
+// Truncated frames are not decoded.
+assert.strictEqual(beacon.decode({ manufacturerDataList: [
+	{ companyId: 0x004C, data: Buffer.from('0215e2c56db5', 'hex') }] }), null);
+assert.strictEqual(beacon.decode(eddystoneFrame('00ec00112233445566778899aabbcc')), null);
+assert.strictEqual(beacon.decode(eddystoneFrame('10')), null);
+assert.strictEqual(beacon.decode(eddystoneFrame('20000bb8')), null);
+assert.strictEqual(beacon.decode(eddystoneFrame('30f6010203')), null);
+assert.strictEqual(beacon.decode(eddystoneFrame('10ee09')), null);
+assert.strictEqual(beacon.decode(eddystoneFrame('40')), null);
+assert.strictEqual(beacon.decode({ manufacturerDataList: [
+	{ companyId: 0x0059, data: Buffer.alloc(23) }] }), null);
+
+// Fields of the wrong length are not encoded.
+assert.throws(() => beacon.encode({
+	type: 'iBeacon',
+	uuid: 'e2c56db5',
+	major: 0,
+	minor: 0,
+	measuredPower: -59,
+}), /Invalid uuid/);
+assert.throws(() => beacon.encode({
+	type: 'eddystoneUid',
+	txPower: 0,
+	namespace: '0011',
+	instance: 'aabbccddeeff',
+}), /Invalid namespace/);
+assert.throws(() => beacon.encode({ type: 'eddystoneEid', txPower: 0, eid: '01' }), /Invalid eid/);
+assert.throws(() => beacon.encode({
+	type: 'eddystoneUrl',
+	txPower: 0,
+	url: 'https://www.a-very-long-host-name.com/',
+}), /exceeds 17 bytes/);
+assert.throws(() => beacon.encode({ type: 'eddystoneUrl', txPower: 0, url: 'ftp://a.com' }),
+	/Unsupported URL scheme/);
+assert.throws(() => beacon.encode({ type: 'altBeacon' }), /Unknown beacon type/);
+
+console.log('beacon tests passed');